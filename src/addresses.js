@@ -6,8 +6,18 @@
 import bitcoinAddressValidation from "bitcoin-address-validation";
 import { NETWORKS } from "./networks";
 
-const MAINNET_ADDRESS_MAGIC_BYTE_PATTERN = "^(bc1|[13])";
-const TESTNET_ADDRESS_MAGIC_BYTE_PATTERN = "^(tb1|bcrt1|[mn2])";
+const ADDRESS_MAGIC_BYTE_PATTERNS = {
+  [NETWORKS.MAINNET]: "^(bc1|[13])",
+  [NETWORKS.TESTNET]: "^(tb1|bcrt1|[mn2])",
+  [NETWORKS.REGTEST]: "^(bcrt1|[mn2])",
+  [NETWORKS.SIGNET]: "^(tb1|[mn2])",
+};
+const ADDRESS_MAGIC_BYTE_MESSAGES = {
+  [NETWORKS.MAINNET]: "Address must start with either of 'bc1', '1' or '3' followed by letters or digits.",
+  [NETWORKS.TESTNET]: "Address must start with one of 'tb1', 'm', 'n', or '2' followed by letters or digits.",
+  [NETWORKS.REGTEST]: "Address must start with one of 'bcrt1', 'm', 'n', or '2' followed by letters or digits.",
+  [NETWORKS.SIGNET]: "Address must start with one of 'tb1', 'm', 'n', or '2' followed by letters or digits.",
+};
 const ADDRESS_BODY_PATTERN = "[A-HJ-NP-Za-km-z1-9]+$";
 const BECH32_ADDRESS_MAGIC_BYTE_REGEX = /^(tb|bc)/;
 const BECH32_ADDRESS_BODY_PATTERN = "[ac-hj-np-z02-9]+$";
@@ -26,16 +36,13 @@ export function validateAddress(address, network) {
     return 'Address cannot be blank.';
   }
 
-  const magic_byte_regex = (network === NETWORKS.TESTNET ? TESTNET_ADDRESS_MAGIC_BYTE_PATTERN : MAINNET_ADDRESS_MAGIC_BYTE_PATTERN);
+  const addressNetwork = (ADDRESS_MAGIC_BYTE_PATTERNS[network] ? network : NETWORKS.MAINNET);
+  const magic_byte_regex = ADDRESS_MAGIC_BYTE_PATTERNS[addressNetwork];
   const isBech32 = address.match(BECH32_ADDRESS_MAGIC_BYTE_REGEX);
   const address_body_regex = (isBech32 ? BECH32_ADDRESS_BODY_PATTERN : ADDRESS_BODY_PATTERN);
   const address_regex = magic_byte_regex + address_body_regex;
   if (! address.match(address_regex)) {
-    if (network === NETWORKS.TESTNET) {
-      return "Address must start with one of 'tb1', 'm', 'n', or '2' followed by letters or digits.";
-    } else {
-      return "Address must start with either of 'bc1', '1' or '3' followed by letters or digits.";
-    }
+    return ADDRESS_MAGIC_BYTE_MESSAGES[addressNetwork];
   }
 
   // try {
@@ -47,10 +54,10 @@ export function validateAddress(address, network) {
 
   const result = bitcoinAddressValidation(address);
   if (result) {
-    if (network === NETWORKS.TESTNET && (!result.testnet)) {
+    if (addressNetwork !== NETWORKS.MAINNET && (!result.testnet)) {
       return `This is a ${NETWORKS.MAINNET} address.`;
     }
-    if (network === NETWORKS.MAINNET && result.testnet) {
+    if (addressNetwork === NETWORKS.MAINNET && result.testnet) {
       return `This is a ${NETWORKS.TESTNET} address.`;
     }
   } else {
@@ -1,6 +1,6 @@
 import { validateAddress } from './addresses';
 import { NETWORKS } from './networks';
-import { mainnetAddresses, testnetAddresses } from './test_constants'
+import { mainnetAddresses, testnetAddresses, regtestAddresses } from './test_constants'
 
 describe("Test address validation library", () => {
     describe("Test validateAddress", () => {
@@ -26,6 +26,18 @@ describe("Test address validation library", () => {
                 })
             });
 
+            it('should properly report the validation of using a mainnet address on regtest or signet', () => {
+                mainnetAddresses.forEach(address => {
+                    expect(validateAddress(address, NETWORKS.REGTEST)).toBe("Address must start with one of 'bcrt1', 'm', 'n', or '2' followed by letters or digits.");
+                    expect(validateAddress(address, NETWORKS.SIGNET)).toBe("Address must start with one of 'tb1', 'm', 'n', or '2' followed by letters or digits.");
+                })
+            });
+
+            it('should properly report the validation of using a testnet bech32 address on regtest', () => {
+                const result = validateAddress(testnetAddresses[2], NETWORKS.REGTEST);
+                expect(result).toBe("Address must start with one of 'bcrt1', 'm', 'n', or '2' followed by letters or digits.");
+            });
+
             it('should properly report the validation of using a testnet address on mainnet', () => {
                 testnetAddresses.forEach(address => {
                     const result = validateAddress(address, NETWORKS.MAINNET);
@@ -48,6 +60,20 @@ describe("Test address validation library", () => {
                     expect(result).toBe('');
                 })
             });
+
+            it('should not provide a validation message for a valid signet addresses', () => {
+                testnetAddresses.forEach(address => {
+                    const result = validateAddress(address, NETWORKS.SIGNET);
+                    expect(result).toBe('');
+                })
+            });
+
+            it('should not provide a validation message for a valid regtest addresses', () => {
+                regtestAddresses.forEach(address => {
+                    const result = validateAddress(address, NETWORKS.REGTEST);
+                    expect(result).toBe('');
+                })
+            });
         })
 
         describe("Validate invalid adresses", () => {
@@ -0,0 +1,178 @@
+/**
+ * This module provides a client for the
+ * [JSON-RPC API]{@link https://developer.bitcoin.org/reference/rpc/}
+ * of a Bitcoin Core node (`bitcoind`).
+ * @module bitcoind
+ */
+
+import BigNumber from 'bignumber.js';
+import {bitcoinsToSatoshis} from "./utils";
+
+/**
+ * Create a client for the JSON-RPC API of a Bitcoin Core node.
+ *
+ * Requests are made with the given `fetch` function (by default the
+ * global `fetch`, which versions of node before 18 lack).  RPC errors
+ * reject with an error including the method, error code, and message.
+ *
+ * Its `getUtxos`, `hasHistory`, `getTransactionHex`, and
+ * `broadcastTransaction` methods have the same signatures and results
+ * as those of `blockExplorerClient`, so either client can be used, e.g.
+ * as the provider for `discoverMultisigWalletAddresses`.  The node's
+ * wallet must be watching the addresses for `getUtxos`, and
+ * `getTransactionHex` needs `-txindex` for confirmed transactions not
+ * in the wallet.  Nodes keep no history of addresses their wallet
+ * doesn't watch, so for those `hasHistory` scans the UTXO set and
+ * only finds addresses with unspent outputs: import the wallet's
+ * descriptors with `importDescriptors` to discover spent addresses.
+ * Bitcoin Core runs one UTXO set scan at a time, so scans are queued.
+ * @param {Object} options - client options
+ * @param {string} options.url - URL of the node's RPC server, including `/wallet/<name>` for wallet RPCs
+ * @param {string} [options.username] - RPC username
+ * @param {string} [options.password] - RPC password
+ * @param {Function} [options.fetch] - `fetch` implementation used for requests
+ * @example
+ * const client = bitcoindClient({url: "http://localhost:8332/wallet/vault", username: "rpcuser", password: "rpcpassword"});
+ * const utxos = await client.listUnspent(["bc1q..."]);
+ * const unsignedTransaction = unsignedMultisigTransaction(NETWORKS.MAINNET, utxos, outputs);
+ * const {allowed} = (await client.testMempoolAccept([signedTransactionHex]))[0];
+ * const txid = await client.broadcastTransaction(signedTransactionHex);
+ * @returns {Object} client with async methods `listUnspent(addresses, minimumConfirmations)`, `getUtxos(address)`, `hasHistory(address)`, `getTransactionHex(txid)`, `broadcastTransaction(transactionHex)`, `testMempoolAccept(transactionHexes)`, `estimateFeeRate(blocks)`, `importDescriptors(requests)`, and `scanUtxoSet(descriptors)`
+ */
+export function bitcoindClient(options) {
+  if (!options || !options.url) {
+    throw new Error("Bitcoin Core RPC URL is required.");
+  }
+  let protocol;
+  try {
+    ({protocol} = new URL(options.url));
+  } catch (e) {
+    throw new Error(`Invalid Bitcoin Core RPC URL: ${options.url}.`);
+  }
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error(`Bitcoin Core RPC URL must use http or https: ${options.url}.`);
+  }
+  const fetchFunction = options.fetch || (typeof fetch === "undefined" ? null : fetch);
+  if (!fetchFunction) {
+    throw new Error("No global fetch is available, pass options.fetch.");
+  }
+  const headers = {"Content-Type": "application/json"};
+  if (options.username !== undefined) {
+    headers.Authorization = `Basic ${Buffer.from(`${options.username}:${options.password || ""}`).toString('base64')}`;
+  }
+  let requestId = 0;
+  let pendingScan = Promise.resolve();
+
+  async function call(method, params) {
+    requestId += 1;
+    const response = await fetchFunction(options.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({jsonrpc: "1.0", id: requestId, method, params: params || []}),
+    });
+    const body = await response.text();
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (e) {
+      throw new Error(`Bitcoin Core RPC ${method} failed (${response.status}): ${body}`);
+    }
+    if (parsed.error) {
+      throw new Error(`Bitcoin Core RPC ${method} failed (${parsed.error.code}): ${parsed.error.message}`);
+    }
+    return parsed.result;
+  }
+
+  function getTransactionHex(txid) {
+    return call("getrawtransaction", [txid, false]);
+  }
+
+  async function listUnspent(addresses, minimumConfirmations) {
+    const unspent = await call("listunspent", [minimumConfirmations || 0, 9999999, addresses]);
+    const txids = unspent.map((utxo) => utxo.txid).filter((txid, index, allTxids) => allTxids.indexOf(txid) === index);
+    const transactions = await Promise.all(txids.map((txid) => call("gettransaction", [txid, true])));
+    return unspent.map((utxo) => normalizeUTXO(utxo, utxo.confirmations > 0, transactions[txids.indexOf(utxo.txid)].hex));
+  }
+
+  function getUtxos(address) {
+    return listUnspent([address]);
+  }
+
+  async function hasHistory(address) {
+    const received = await call("listreceivedbyaddress", [0, true, true, address]);
+    if (received.length === 0) {
+      return (await scanUtxoSet([`addr(${address})`])).utxos.length > 0;
+    }
+    return new BigNumber(received[0].amount).isGreaterThan(0);
+  }
+
+  function broadcastTransaction(transactionHex) {
+    return call("sendrawtransaction", [transactionHex]);
+  }
+
+  async function testMempoolAccept(transactionHexes) {
+    const results = await call("testmempoolaccept", [transactionHexes]);
+    return results.map((result) => ({
+      txid: result.txid,
+      allowed: result.allowed,
+      rejectReason: (result.allowed ? null : result["reject-reason"]),
+    }));
+  }
+
+  async function estimateFeeRate(blocks) {
+    const estimate = await call("estimatesmartfee", [blocks]);
+    if (estimate.feerate === undefined) {
+      throw new Error(`Bitcoin Core could not estimate a fee rate: ${(estimate.errors || []).join(" ")}`);
+    }
+    return {
+      feeRateSatsPerVByte: bitcoinsToSatoshis(estimate.feerate).dividedBy(1000),
+      blocks: estimate.blocks,
+    };
+  }
+
+  async function importDescriptors(requests) {
+    const results = await call("importdescriptors", [requests]);
+    const failure = results.find((result) => !result.success);
+    if (failure) {
+      throw new Error(`Bitcoin Core could not import descriptor ${results.indexOf(failure)}: ${failure.error ? failure.error.message : "unknown error"}`);
+    }
+    return results;
+  }
+
+  async function scanUtxoSet(descriptors) {
+    const request = pendingScan.then(() => call("scantxoutset", ["start", descriptors]));
+    pendingScan = request.catch(() => null);
+    const scan = await request;
+    return {
+      utxos: scan.unspents.map((utxo) => ({...normalizeUTXO(utxo, true), height: utxo.height})),
+      totalAmountSats: bitcoinsToSatoshis(scan.total_amount),
+    };
+  }
+
+  return {
+    listUnspent,
+    getUtxos,
+    hasHistory,
+    getTransactionHex,
+    broadcastTransaction,
+    testMempoolAccept,
+    estimateFeeRate,
+    importDescriptors,
+    scanUtxoSet,
+  };
+}
+
+function normalizeUTXO(utxo, confirmed, transactionHex) {
+  const amountSats = bitcoinsToSatoshis(new BigNumber(utxo.amount));
+  const normalized = {
+    confirmed,
+    txid: utxo.txid,
+    index: utxo.vout,
+    amount: new BigNumber(utxo.amount).toString(),
+    amountSats,
+  };
+  if (transactionHex !== undefined) {
+    normalized.transactionHex = transactionHex;
+  }
+  return normalized;
+}
@@ -0,0 +1,198 @@
+import BigNumber from 'bignumber.js';
+import {bitcoindClient} from './bitcoind';
+import {httpFetch, startStubServer, stubServerURL} from './test_http';
+
+const address = "2N16oE62ZjAPup985dFBQYAuy5zpDraH7Hk";
+const unusedAddress = "2NE1LH35XT4YrdnEebk5oKMmRpGiYcUvpNR";
+const unwatchedAddress = "2MzVTmjkMnE7Ub9Wkcx4Cs1tPzoQhr1CJZx";
+const txid1 = "4f0ef69f88829bd2f6b7793e32dd8bfcfbc87ddb9a2de3d8ef3f2aabbaff0be3";
+const txid2 = "1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0";
+const transactionHex = "0100000001";
+const authorization = `Basic ${Buffer.from("rpcuser:rpcpassword").toString('base64')}`;
+const descriptor = "wsh(sortedmulti(2,...))#checksum";
+
+function rpcError(code, message) {
+    return {error: {code, message}};
+}
+
+// A local stand-in for bitcoind's RPC methods.
+const rpcMethods = {
+    listunspent: ([minimumConfirmations, , addresses]) => ({result: [
+        {txid: txid1, vout: 0, address, amount: 0.001, confirmations: 6},
+        {txid: txid1, vout: 2, address, amount: 0.000025, confirmations: 6},
+        {txid: txid2, vout: 1, address, amount: 1.23456789, confirmations: 0},
+    ].filter((utxo) => addresses.includes(utxo.address) && utxo.confirmations >= minimumConfirmations)}),
+    gettransaction: ([txid]) => ({result: {txid, hex: `${transactionHex}${txid.slice(0, 2)}`}}),
+    getrawtransaction: ([txid]) => (txid === txid1 ? {result: transactionHex} : rpcError(-5, "No such mempool or blockchain transaction.")),
+    listreceivedbyaddress: ([, , , addressFilter]) => ({result: [
+        {address, amount: 1.23709289, txids: [txid1, txid2]},
+        {address: unusedAddress, amount: 0, txids: []},
+    ].filter((received) => received.address === addressFilter)}),
+    sendrawtransaction: ([hex]) => (hex === transactionHex ? {result: txid1} : rpcError(-22, "TX decode failed")),
+    testmempoolaccept: ([hexes]) => ({result: hexes.map((hex) => (hex === transactionHex ? {txid: txid1, allowed: true} : {txid: txid2, allowed: false, "reject-reason": "missing-inputs"}))}),
+    estimatesmartfee: ([blocks]) => ({result: (blocks === 1 ? {errors: ["Insufficient data or no feerate found"], blocks: 2} : {feerate: 0.00012345, blocks})}),
+    importdescriptors: ([requests]) => ({result: requests.map((request) => (request.desc === descriptor ? {success: true} : {success: false, error: {code: -5, message: "Invalid descriptor"}}))}),
+    scantxoutset: ([action, descriptors]) => ({result: {
+        success: action === "start",
+        unspents: descriptors.includes(descriptor) || descriptors.includes(`addr(${unwatchedAddress})`) ? [{txid: txid2, vout: 0, scriptPubKey: "a914", desc: descriptor, amount: 0.5, height: 600000}] : [],
+        total_amount: descriptors.includes(descriptor) || descriptors.includes(`addr(${unwatchedAddress})`) ? 0.5 : 0,
+    }}),
+};
+
+function bitcoindStub(request, body) {
+    if (request.headers.authorization !== authorization) {
+        return [401, ""];
+    }
+    const {id, method, params} = JSON.parse(body);
+    const response = rpcMethods[method] ? rpcMethods[method](params) : rpcError(-32601, "Method not found");
+    return [response.error ? 500 : 200, JSON.stringify({result: null, error: null, id, ...response})];
+}
+
+describe("Test bitcoind", () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        server = await startStubServer(bitcoindStub);
+        client = bitcoindClient({url: stubServerURL(server), username: "rpcuser", password: "rpcpassword", fetch: httpFetch});
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    describe("Test bitcoindClient", () => {
+        it("should require a URL", () => {
+            expect(() => bitcoindClient()).toThrow("Bitcoin Core RPC URL is required.");
+            expect(() => bitcoindClient({fetch: httpFetch})).toThrow("Bitcoin Core RPC URL is required.");
+        });
+
+        it("should reject malformed and non-HTTP URLs", () => {
+            expect(() => bitcoindClient({url: "localhost:8332", fetch: httpFetch})).toThrow("Bitcoin Core RPC URL must use http or https: localhost:8332.");
+            expect(() => bitcoindClient({url: "http://", fetch: httpFetch})).toThrow("Invalid Bitcoin Core RPC URL: http://.");
+            expect(() => bitcoindClient({url: "127.0.0.1:8332/wallet/vault", fetch: httpFetch})).toThrow("Invalid Bitcoin Core RPC URL: 127.0.0.1:8332/wallet/vault.");
+            expect(() => bitcoindClient({url: "https://node.example.com/wallet/vault", fetch: httpFetch})).not.toThrow();
+        });
+
+        it("should require a fetch function without a global fetch", () => {
+            const globalFetch = global.fetch;
+            delete global.fetch;
+            try {
+                expect(() => bitcoindClient({url: stubServerURL(server)})).toThrow("No global fetch is available, pass options.fetch.");
+                expect(() => bitcoindClient({url: stubServerURL(server), fetch: httpFetch})).not.toThrow();
+            } finally {
+                global.fetch = globalFetch;
+            }
+        });
+    });
+
+    describe("Test listUnspent and getUtxos", () => {
+        it("should return UTXOs with their transactions", async () => {
+            expect(await client.listUnspent([address])).toEqual([
+                {confirmed: true, txid: txid1, index: 0, amount: "0.001", amountSats: new BigNumber(100000), transactionHex: `${transactionHex}4f`},
+                {confirmed: true, txid: txid1, index: 2, amount: "0.000025", amountSats: new BigNumber(2500), transactionHex: `${transactionHex}4f`},
+                {confirmed: false, txid: txid2, index: 1, amount: "1.23456789", amountSats: new BigNumber(123456789), transactionHex: `${transactionHex}18`},
+            ]);
+        });
+
+        it("should filter by confirmations", async () => {
+            expect((await client.listUnspent([address], 1)).length).toBe(2);
+        });
+
+        it("should return the UTXOs of an address", async () => {
+            expect(await client.getUtxos(address)).toEqual(await client.listUnspent([address]));
+            expect(await client.getUtxos(unusedAddress)).toEqual([]);
+        });
+    });
+
+    describe("Test hasHistory", () => {
+        it("should report whether an address has received funds", async () => {
+            expect(await client.hasHistory(address)).toBe(true);
+            expect(await client.hasHistory(unusedAddress)).toBe(false);
+        });
+
+        it("should scan the UTXO set for addresses the wallet doesn't watch", async () => {
+            expect(await client.hasHistory(unwatchedAddress)).toBe(true);
+            expect(await client.hasHistory("2N8hwP1WmJrFF5QWABn38y63uYLhnJYJYTF")).toBe(false);
+        });
+
+        it("should run one UTXO set scan at a time", async () => {
+            let scans = 0;
+            let maximumScans = 0;
+            function countingFetch(url, init) {
+                if (JSON.parse(init.body).method !== "scantxoutset") {
+                    return httpFetch(url, init);
+                }
+                scans += 1;
+                maximumScans = Math.max(scans, maximumScans);
+                return httpFetch(url, init).then((response) => {
+                    scans -= 1;
+                    return response;
+                });
+            }
+            const countingClient = bitcoindClient({url: stubServerURL(server), username: "rpcuser", password: "rpcpassword", fetch: countingFetch});
+            const histories = await Promise.all([unwatchedAddress, address, unwatchedAddress, "2N8hwP1WmJrFF5QWABn38y63uYLhnJYJYTF"].map((queried) => countingClient.hasHistory(queried)));
+            expect(histories).toEqual([true, true, true, false]);
+            expect(maximumScans).toBe(1);
+        });
+    });
+
+    describe("Test getTransactionHex", () => {
+        it("should return raw transactions", async () => {
+            expect(await client.getTransactionHex(txid1)).toBe(transactionHex);
+            await expect(client.getTransactionHex(txid2)).rejects.toThrow("Bitcoin Core RPC getrawtransaction failed (-5): No such mempool or blockchain transaction.");
+        });
+    });
+
+    describe("Test broadcastTransaction and testMempoolAccept", () => {
+        it("should broadcast transactions", async () => {
+            expect(await client.broadcastTransaction(transactionHex)).toBe(txid1);
+            await expect(client.broadcastTransaction("00")).rejects.toThrow("Bitcoin Core RPC sendrawtransaction failed (-22): TX decode failed");
+        });
+
+        it("should test transactions", async () => {
+            expect(await client.testMempoolAccept([transactionHex, "00"])).toEqual([
+                {txid: txid1, allowed: true, rejectReason: null},
+                {txid: txid2, allowed: false, rejectReason: "missing-inputs"},
+            ]);
+        });
+    });
+
+    describe("Test estimateFeeRate", () => {
+        it("should return the fee rate in Satoshis/vbyte", async () => {
+            const {feeRateSatsPerVByte, blocks} = await client.estimateFeeRate(6);
+            expect(feeRateSatsPerVByte).toEqual(new BigNumber(12.345));
+            expect(blocks).toBe(6);
+        });
+
+        it("should reject when no estimate is available", async () => {
+            await expect(client.estimateFeeRate(1)).rejects.toThrow("Bitcoin Core could not estimate a fee rate: Insufficient data or no feerate found");
+        });
+    });
+
+    describe("Test importDescriptors", () => {
+        it("should import descriptors", async () => {
+            expect(await client.importDescriptors([{desc: descriptor, timestamp: "now"}])).toEqual([{success: true}]);
+        });
+
+        it("should reject failed imports", async () => {
+            await expect(client.importDescriptors([{desc: descriptor, timestamp: "now"}, {desc: "wsh(", timestamp: "now"}])).rejects.toThrow("Bitcoin Core could not import descriptor 1: Invalid descriptor");
+        });
+    });
+
+    describe("Test scanUtxoSet", () => {
+        it("should return the UTXOs of descriptors", async () => {
+            expect(await client.scanUtxoSet([descriptor])).toEqual({
+                utxos: [{confirmed: true, txid: txid2, index: 0, amount: "0.5", amountSats: new BigNumber(50000000), height: 600000}],
+                totalAmountSats: new BigNumber(50000000),
+            });
+        });
+    });
+
+    describe("Test errors", () => {
+        it("should reject failed authentication", async () => {
+            const unauthorized = bitcoindClient({url: stubServerURL(server), username: "rpcuser", password: "wrong", fetch: httpFetch});
+            await expect(unauthorized.getTransactionHex(txid1)).rejects.toThrow("Bitcoin Core RPC getrawtransaction failed (401): ");
+        });
+    });
+});
@@ -1,70 +1,366 @@
 /**
- * This module provides various helper functions for the Blockstream block explorer and associated API.
- * Use this to easily access the block explorer links and API endpoint URLs
+ * This module provides various helper functions for block explorers such as Blockstream and their associated APIs.
+ * Use this to easily access the block explorer links and API endpoint URLs, or
+ * query the [Esplora]{@link https://github.com/Blockstream/esplora/blob/master/API.md} API with a client.
  * @module block_explorer
  */
 
+import BigNumber from 'bignumber.js';
 import {NETWORKS} from "./networks";
+import {satoshisToBitcoins} from "./utils";
 
-const BASE_URL_MAINNET = 'https://blockstream.info';
-const BASE_URL_TESTNET = 'https://blockstream.info/testnet';
+/**
+ * Block explorer profile for [Blockstream]{@link https://blockstream.info}.
+ * @type {Object}
+ */
+export const BLOCKSTREAM = {
+  name: "Blockstream",
+  baseURL: "https://blockstream.info",
+  apiPrefix: "/api",
+  networkPaths: {
+    [NETWORKS.MAINNET]: "",
+    [NETWORKS.TESTNET]: "/testnet",
+    [NETWORKS.SIGNET]: "/signet",
+  },
+  templates: {
+    transaction: "/tx/{txid}",
+    address: "/address/{address}",
+    block: "/block/{hash}",
+    blockHeight: "/block-height/{height}",
+    output: "/tx/{txid}?output:{vout}",
+  },
+};
+
+/**
+ * Block explorer profile for [mempool.space]{@link https://mempool.space}.
+ * @type {Object}
+ */
+export const MEMPOOL_SPACE = {
+  name: "mempool.space",
+  baseURL: "https://mempool.space",
+  apiPrefix: "/api",
+  networkPaths: {
+    [NETWORKS.MAINNET]: "",
+    [NETWORKS.TESTNET]: "/testnet",
+    [NETWORKS.SIGNET]: "/signet",
+  },
+  templates: {
+    transaction: "/tx/{txid}",
+    address: "/address/{address}",
+    block: "/block/{hash}",
+    blockHeight: "/block/{height}",
+    output: "/tx/{txid}#vout={vout}",
+  },
+};
+
+/**
+ * Registry of block explorer profiles ([BLOCKSTREAM]{@link module:block_explorer.BLOCKSTREAM}|[MEMPOOL_SPACE]{@link module:block_explorer.MEMPOOL_SPACE}).
+ *
+ * Other profiles, e.g. for a self-hosted Esplora, can be added with
+ * `registerBlockExplorer`.  Functions taking an `explorer` option
+ * accept either a key of this registry or a profile.
+ * @enum {Object}
+ */
+export const BLOCK_EXPLORERS = {
+  BLOCKSTREAM,
+  MEMPOOL_SPACE,
+};
+
+/**
+ * Add a block explorer profile to the registry.
+ *
+ * Profiles have a `baseURL`, the `apiPrefix` of their Esplora API,
+ * the `networkPaths` appended to the `baseURL` for each network they
+ * support, and the URL `templates` of their `transaction`, `address`,
+ * `block`, `blockHeight`, and `output` pages.  Missing `templates`
+ * default to those of Esplora.
+ * @param {string} key - the profile's key in `BLOCK_EXPLORERS`
+ * @param {Object} profile - the block explorer profile
+ * @example
+ * registerBlockExplorer("LOCAL", {name: "Local", baseURL: "http://localhost:5000", apiPrefix: "/api", networkPaths: {[NETWORKS.TESTNET]: ""}});
+ * const url = blockExplorerTransactionURL(txid, NETWORKS.TESTNET, {explorer: "LOCAL"});
+ * console.log(url); // http://localhost:5000/tx/...
+ * @returns {Object} the registered profile
+ */
+export function registerBlockExplorer(key, profile) {
+  BLOCK_EXPLORERS[key] = normalizeBlockExplorer({name: key, ...profile});
+  return BLOCK_EXPLORERS[key];
+}
+
+function normalizeBlockExplorer(profile) {
+  if (!profile || typeof profile.baseURL !== "string" || !profile.networkPaths) {
+    throw new Error("Block explorer profile must have a baseURL and networkPaths.");
+  }
+  return {
+    name: profile.baseURL,
+    apiPrefix: "/api",
+    ...profile,
+    baseURL: profile.baseURL.replace(/\/+$/, ""),
+    templates: {...BLOCKSTREAM.templates, ...profile.templates},
+  };
+}
+
+function blockExplorerProfile(options) {
+  const explorer = (options && options.explorer) || BLOCKSTREAM;
+  if (typeof explorer !== "string") {
+    return normalizeBlockExplorer(explorer);
+  }
+  if (!BLOCK_EXPLORERS[explorer]) {
+    throw new Error(`Unknown block explorer: ${explorer}.`);
+  }
+  return BLOCK_EXPLORERS[explorer];
+}
 
- function blockExplorerBaseURL(network) {
-  return (network === NETWORKS.TESTNET ? BASE_URL_TESTNET : BASE_URL_MAINNET);
+// Without a network, links are to mainnet as they always have been.
+// No public explorer has regtest, so it needs a `baseURL` option (or a
+// profile with a regtest path) pointing at a local one.
+function blockExplorerBaseURL(network, options) {
+  if (options && options.baseURL) {
+    return options.baseURL.replace(/\/+$/, "");
+  }
+  const explorer = blockExplorerProfile(options);
+  const networkPath = explorer.networkPaths[network || NETWORKS.MAINNET];
+  if (networkPath === undefined) {
+    const hint = (network === NETWORKS.REGTEST ? ", pass options.baseURL for a local explorer" : "");
+    throw new Error(`Block explorer ${explorer.name} does not support ${network}${hint}.`);
+  }
+  return `${explorer.baseURL}${networkPath}`;
+}
+
+function blockExplorerTemplateURL(templateName, values, network, options) {
+  const path = blockExplorerProfile(options).templates[templateName].replace(/\{(\w+)\}/g, (placeholder, name) => encodeURIComponent(values[name]));
+  return blockExplorerURL(path, network, options);
 }
 
 /**
  * Formats the proper URL based on the block explorer path and network.
  * @param {string} path - the explorer path
  * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
  * @example
  * const path = "/block/00000000000000000011341d69792271766e4683e29b3ea169eacc59bde10a57";
  * const url = blockExplorerURL(path, NETWORKS.MAINNET);
  * console.log(url) // https://blockstream.info/block/00000000000000000011341d69792271766e4683e29b3ea169eacc59bde10a57
  * @returns {string} the full block explorer url
  */
-export function blockExplorerURL(path, network) {
-  return `${blockExplorerBaseURL(network)}${path}`;
+export function blockExplorerURL(path, network, options) {
+  return `${blockExplorerBaseURL(network, options)}${path}`;
 }
 
 /**
  * Formats the proper API URL based on the api path and network.
  * @param {string} path - the api path
  * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
  * @example
  * const path = "/tx/1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0";
  * const url = blockExplorerAPIURL(path, NETWORKS.MAINNET);
  * console.log(url); // https://blockstream.info/api/tx/1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0
  * @returns {string} the full block explorer url
  */
-export function blockExplorerAPIURL(path, network) {
-  return `${blockExplorerBaseURL(network)}/api${path}`;
+export function blockExplorerAPIURL(path, network, options) {
+  return `${blockExplorerBaseURL(network, options)}${blockExplorerProfile(options).apiPrefix}${path}`;
 }
 
 /**
  * Formats the proper URL for a transaction on a given network.
  * @param {string} txid - the transaction id to look up
  * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
  * @example
  * const txid = "1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0";
  * const url = blockExplorerTransactionURL(txid, NETWORKS.MAINNET);
  * console.log(url); // https://blockstream.info/tx/1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0
  * @returns {string} the full transaction URL
  */
-export function blockExplorerTransactionURL(txid, network) {
-  return blockExplorerURL(`/tx/${txid}`, network);
+export function blockExplorerTransactionURL(txid, network, options) {
+  return blockExplorerTemplateURL("transaction", {txid}, network, options);
 }
 
 /**
  * Formats the proper URL for an address on a given network.
  * @param {string} address the address to look up
  * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
  * @example
  * const address = "39YqNoLULDpbjmeCTdGJ42DQhrQLzRcMdX";
  * const url = blockExplorerAddressURL(address, NETWORKS.MAINNET);
  * console.log(url); // https://blockstream.info/address/39YqNoLULDpbjmeCTdGJ42DQhrQLzRcMdX
  * @returns {string} full URL for address lookup
  */
-export function blockExplorerAddressURL(address, network) {
-  return blockExplorerURL(`/address/${address}`, network);
+export function blockExplorerAddressURL(address, network, options) {
+  return blockExplorerTemplateURL("address", {address}, network, options);
+}
+
+/**
+ * Formats the proper URL for a block on a given network.
+ * @param {string} hash - the hash of the block to look up
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
+ * @example
+ * const hash = "00000000000000000011341d69792271766e4683e29b3ea169eacc59bde10a57";
+ * const url = blockExplorerBlockURL(hash, NETWORKS.MAINNET, {explorer: "MEMPOOL_SPACE"});
+ * console.log(url); // https://mempool.space/block/00000000000000000011341d69792271766e4683e29b3ea169eacc59bde10a57
+ * @returns {string} full URL for block lookup
+ */
+export function blockExplorerBlockURL(hash, network, options) {
+  return blockExplorerTemplateURL("block", {hash}, network, options);
+}
+
+/**
+ * Formats the proper URL for the block at a height on a given network.
+ * @param {number} height - the height of the block to look up
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
+ * @example
+ * const url = blockExplorerBlockHeightURL(600000, NETWORKS.MAINNET);
+ * console.log(url); // https://blockstream.info/block-height/600000
+ * @returns {string} full URL for block lookup
+ */
+export function blockExplorerBlockHeightURL(height, network, options) {
+  return blockExplorerTemplateURL("blockHeight", {height}, network, options);
+}
+
+/**
+ * Formats the proper URL for a transaction output on a given network.
+ * @param {string} txid - the transaction id of the output
+ * @param {number} vout - the index of the output in the transaction
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - URL options
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.baseURL] - base URL of the explorer for the network, e.g. `http://localhost:5000` for regtest, instead of the profile's
+ * @example
+ * const txid = "1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0";
+ * const url = blockExplorerOutputURL(txid, 1, NETWORKS.MAINNET);
+ * console.log(url); // https://blockstream.info/tx/1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0?output:1
+ * @returns {string} full URL for output lookup
+ */
+export function blockExplorerOutputURL(txid, vout, network, options) {
+  return blockExplorerTemplateURL("output", {txid, vout}, network, options);
+}
+
+/**
+ * Create a client for the
+ * [Esplora]{@link https://github.com/Blockstream/esplora/blob/master/API.md}
+ * API of a block explorer.
+ *
+ * Requests are made with the given `fetch` function (by default the
+ * global `fetch`), so the client can be used in browsers and node or
+ * pointed at a stub in tests.  Versions of node without a global
+ * `fetch` must pass one, e.g. from `node-fetch`.  Failed requests
+ * reject with an error including the response's status and body.
+ *
+ * The client's `hasHistory` and `getUtxos` can be used as the provider
+ * for `discoverMultisigWalletAddresses`.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - client options
+ * @param {Function} [options.fetch] - `fetch` implementation used for requests
+ * @param {string|Object} [options.explorer=BLOCKSTREAM] - block explorer profile or its key in `BLOCK_EXPLORERS`
+ * @param {string} [options.apiURL] - base URL of the API, e.g. `http://localhost:3000/api`, instead of the explorer's
+ * @example
+ * const client = blockExplorerClient(NETWORKS.MAINNET);
+ * const utxos = await client.getUtxos("39YqNoLULDpbjmeCTdGJ42DQhrQLzRcMdX");
+ * const unsignedTransaction = unsignedMultisigTransaction(NETWORKS.MAINNET, utxos, outputs);
+ * const txid = await client.broadcastTransaction(signedTransactionHex);
+ * @returns {Object} client with async methods `getUtxos(address)`, `hasHistory(address)`, `getAddressStats(address)`, `getTransactionHex(txid)`, `getTransactionStatus(txid)`, and `broadcastTransaction(transactionHex)`
+ */
+export function blockExplorerClient(network, options) {
+  const fetchFunction = (options && options.fetch) || (typeof fetch === "undefined" ? null : fetch);
+  if (!fetchFunction) {
+    throw new Error("No global fetch is available, pass options.fetch.");
+  }
+  const apiURL = (options && options.apiURL) || blockExplorerAPIURL("", network, options);
+
+  async function request(path, init) {
+    const response = await fetchFunction(`${apiURL}${path}`, init);
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(`Block explorer request for ${path} failed (${response.status}): ${body}`);
+    }
+    return body;
+  }
+
+  async function getTransactionHex(txid) {
+    return (await request(`/tx/${txid}/hex`)).trim();
+  }
+
+  async function getTransactionStatus(txid) {
+    return normalizeTransactionStatus(JSON.parse(await request(`/tx/${txid}/status`)));
+  }
+
+  async function getAddressStats(address) {
+    const stats = JSON.parse(await request(`/address/${address}`));
+    return {
+      address: stats.address,
+      chainStats: normalizeAddressStats(stats.chain_stats),
+      mempoolStats: normalizeAddressStats(stats.mempool_stats),
+    };
+  }
+
+  async function hasHistory(address) {
+    const {chainStats, mempoolStats} = await getAddressStats(address);
+    return (chainStats.txCount + mempoolStats.txCount) > 0;
+  }
+
+  async function getUtxos(address) {
+    const utxos = JSON.parse(await request(`/address/${address}/utxo`));
+    const txids = utxos.map((utxo) => utxo.txid).filter((txid, index, allTxids) => allTxids.indexOf(txid) === index);
+    const transactionHexes = await Promise.all(txids.map(getTransactionHex));
+    return utxos.map((utxo) => {
+      const amountSats = new BigNumber(utxo.value);
+      return {
+        confirmed: utxo.status.confirmed,
+        txid: utxo.txid,
+        index: utxo.vout,
+        amount: satoshisToBitcoins(amountSats).toString(),
+        amountSats,
+        transactionHex: transactionHexes[txids.indexOf(utxo.txid)],
+      };
+    });
+  }
+
+  async function broadcastTransaction(transactionHex) {
+    return (await request("/tx", {method: "POST", body: transactionHex})).trim();
+  }
+
+  return {
+    getUtxos,
+    hasHistory,
+    getAddressStats,
+    getTransactionHex,
+    getTransactionStatus,
+    broadcastTransaction,
+  };
+}
+
+function normalizeTransactionStatus(status) {
+  return {
+    confirmed: status.confirmed,
+    blockHeight: (status.confirmed ? status.block_height : null),
+    blockHash: (status.confirmed ? status.block_hash : null),
+    blockTime: (status.confirmed ? status.block_time : null),
+  };
+}
+
+function normalizeAddressStats(stats) {
+  return {
+    txCount: stats.tx_count,
+    fundedTxoCount: stats.funded_txo_count,
+    fundedTxoSumSats: new BigNumber(stats.funded_txo_sum),
+    spentTxoCount: stats.spent_txo_count,
+    spentTxoSumSats: new BigNumber(stats.spent_txo_sum),
+    balanceSats: new BigNumber(stats.funded_txo_sum).minus(stats.spent_txo_sum),
+  };
 }
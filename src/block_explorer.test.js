@@ -1,5 +1,48 @@
-import { blockExplorerURL, blockExplorerAPIURL, blockExplorerTransactionURL, blockExplorerAddressURL } from './block_explorer'
+import BigNumber from 'bignumber.js';
+import {
+    BLOCK_EXPLORERS,
+    registerBlockExplorer,
+    blockExplorerURL,
+    blockExplorerAPIURL,
+    blockExplorerTransactionURL,
+    blockExplorerAddressURL,
+    blockExplorerBlockURL,
+    blockExplorerBlockHeightURL,
+    blockExplorerOutputURL,
+    blockExplorerClient,
+} from './block_explorer'
 import { NETWORKS } from './networks';
+import { httpFetch, startStubServer, stubServerURL } from './test_http';
+
+const address = "2N16oE62ZjAPup985dFBQYAuy5zpDraH7Hk";
+const txid1 = "4f0ef69f88829bd2f6b7793e32dd8bfcfbc87ddb9a2de3d8ef3f2aabbaff0be3";
+const txid2 = "1814a10fb22e9551a17a94a1e68971e19b4f59eaf1689e0af85b97929b3b9ae0";
+const transactionHex = "0100000001";
+
+// A local stand-in for an Esplora server.
+const esploraResponses = {
+    [`GET /api/address/${address}/utxo`]: [200, JSON.stringify([
+        {txid: txid1, vout: 0, value: 100000, status: {confirmed: true, block_height: 1000, block_hash: "00ab", block_time: 1570000000}},
+        {txid: txid1, vout: 2, value: 2500, status: {confirmed: true, block_height: 1000, block_hash: "00ab", block_time: 1570000000}},
+        {txid: txid2, vout: 1, value: 123456789, status: {confirmed: false}},
+    ])],
+    [`GET /api/address/${address}`]: [200, JSON.stringify({
+        address,
+        chain_stats: {funded_txo_count: 3, funded_txo_sum: 150000, spent_txo_count: 1, spent_txo_sum: 50000, tx_count: 3},
+        mempool_stats: {funded_txo_count: 0, funded_txo_sum: 0, spent_txo_count: 0, spent_txo_sum: 0, tx_count: 0},
+    })],
+    [`GET /api/tx/${txid1}/hex`]: [200, transactionHex],
+    [`GET /api/tx/${txid2}/hex`]: [200, `${transactionHex}ff\n`],
+    [`GET /api/tx/${txid1}/status`]: [200, JSON.stringify({confirmed: true, block_height: 1000, block_hash: "00ab", block_time: 1570000000})],
+    [`GET /api/tx/${txid2}/status`]: [200, JSON.stringify({confirmed: false})],
+};
+
+function esploraStub(request, body) {
+    if (request.method === "POST" && request.url === "/api/tx") {
+        return (body === transactionHex ? [200, txid1] : [400, "sendrawtransaction RPC error: TX decode failed"]);
+    }
+    return esploraResponses[`${request.method} ${request.url}`] || [404, "Not Found"];
+}
 
 describe("Test block_explorer library", () => {
     describe("Test blockExplorerURL", () => {
@@ -69,5 +112,136 @@ describe("Test block_explorer library", () => {
         });
     });
 
-});
+    describe("Test block explorer profiles", () => {
+        const blockHash = "00000000000000000011341d69792271766e4683e29b3ea169eacc59bde10a57";
+        const selfHosted = {
+            name: "Self-hosted",
+            baseURL: "http://localhost:5000/",
+            networkPaths: {[NETWORKS.MAINNET]: "", [NETWORKS.TESTNET]: "/testnet"},
+            templates: {blockHeight: "/height/{height}"},
+        };
+
+        it('should properly return blockstream.info block, block height, and output urls', () => {
+            expect(blockExplorerBlockURL(blockHash, NETWORKS.MAINNET)).toBe(`https://blockstream.info/block/${blockHash}`);
+            expect(blockExplorerBlockHeightURL(600000, NETWORKS.TESTNET)).toBe("https://blockstream.info/testnet/block-height/600000");
+            expect(blockExplorerOutputURL(txid2, 1, NETWORKS.MAINNET)).toBe(`https://blockstream.info/tx/${txid2}?output:1`);
+        });
+
+        it('should properly return mempool.space urls', () => {
+            const options = {explorer: "MEMPOOL_SPACE"};
+            expect(blockExplorerURL("", NETWORKS.TESTNET, options)).toBe("https://mempool.space/testnet");
+            expect(blockExplorerAPIURL(`/tx/${txid1}`, NETWORKS.MAINNET, options)).toBe(`https://mempool.space/api/tx/${txid1}`);
+            expect(blockExplorerTransactionURL(txid1, NETWORKS.TESTNET, options)).toBe(`https://mempool.space/testnet/tx/${txid1}`);
+            expect(blockExplorerAddressURL(address, NETWORKS.TESTNET, options)).toBe(`https://mempool.space/testnet/address/${address}`);
+            expect(blockExplorerBlockURL(blockHash, NETWORKS.MAINNET, options)).toBe(`https://mempool.space/block/${blockHash}`);
+            expect(blockExplorerBlockHeightURL(600000, NETWORKS.MAINNET, options)).toBe("https://mempool.space/block/600000");
+            expect(blockExplorerOutputURL(txid2, 1, NETWORKS.MAINNET, options)).toBe(`https://mempool.space/tx/${txid2}#vout=1`);
+            expect(blockExplorerTransactionURL(txid1, NETWORKS.SIGNET, options)).toBe(`https://mempool.space/signet/tx/${txid1}`);
+        });
+
+        it('should accept profiles with default templates and API prefix', () => {
+            const options = {explorer: selfHosted};
+            expect(blockExplorerAPIURL("/blocks/tip/height", NETWORKS.TESTNET, options)).toBe("http://localhost:5000/testnet/api/blocks/tip/height");
+            expect(blockExplorerBlockHeightURL(10, NETWORKS.MAINNET, options)).toBe("http://localhost:5000/height/10");
+            expect(blockExplorerTransactionURL(txid1, NETWORKS.MAINNET, options)).toBe(`http://localhost:5000/tx/${txid1}`);
+        });
+
+        it('should register profiles', () => {
+            const profile = registerBlockExplorer("SELF_HOSTED", {...selfHosted, apiPrefix: "/esplora/api"});
+            expect(BLOCK_EXPLORERS.SELF_HOSTED).toBe(profile);
+            expect(profile.name).toBe("Self-hosted");
+            expect(blockExplorerAPIURL("", NETWORKS.MAINNET, {explorer: "SELF_HOSTED"})).toBe("http://localhost:5000/esplora/api");
+            expect(blockExplorerOutputURL(txid1, 0, NETWORKS.MAINNET, {explorer: "SELF_HOSTED"})).toBe(`http://localhost:5000/tx/${txid1}?output:0`);
+            delete BLOCK_EXPLORERS.SELF_HOSTED;
+        });
+
+        it('should throw on unknown explorers, invalid profiles, and unsupported networks', () => {
+            expect(() => blockExplorerURL("", NETWORKS.MAINNET, {explorer: "UNKNOWN"})).toThrow("Unknown block explorer: UNKNOWN.");
+            expect(() => registerBlockExplorer("INVALID", {name: "Invalid"})).toThrow("Block explorer profile must have a baseURL and networkPaths.");
+            expect(() => blockExplorerURL("", NETWORKS.TESTNET, {explorer: {baseURL: "https://example.com", networkPaths: {[NETWORKS.MAINNET]: ""}}})).toThrow("Block explorer https://example.com does not support testnet.");
+            expect(() => blockExplorerURL("", NETWORKS.REGTEST)).toThrow("Block explorer Blockstream does not support regtest, pass options.baseURL for a local explorer.");
+        });
+
+        it('should support signet, default to mainnet, and accept a base URL for regtest', () => {
+            expect(blockExplorerTransactionURL(txid1, NETWORKS.SIGNET)).toBe(`https://blockstream.info/signet/tx/${txid1}`);
+            expect(blockExplorerAPIURL("/blocks/tip/height", NETWORKS.SIGNET)).toBe("https://blockstream.info/signet/api/blocks/tip/height");
+            expect(blockExplorerTransactionURL(txid1)).toBe(`https://blockstream.info/tx/${txid1}`);
+            expect(blockExplorerAddressURL(address, undefined, {explorer: "MEMPOOL_SPACE"})).toBe(`https://mempool.space/address/${address}`);
+            const options = {baseURL: "http://localhost:5000/"};
+            expect(blockExplorerTransactionURL(txid1, NETWORKS.REGTEST, options)).toBe(`http://localhost:5000/tx/${txid1}`);
+            expect(blockExplorerAPIURL(`/tx/${txid1}`, NETWORKS.REGTEST, options)).toBe(`http://localhost:5000/api/tx/${txid1}`);
+            expect(blockExplorerBlockHeightURL(10, NETWORKS.REGTEST, {...options, explorer: "MEMPOOL_SPACE"})).toBe("http://localhost:5000/block/10");
+        });
+    });
+
+    describe("Test blockExplorerClient", () => {
+        let server;
+        let client;
+
+        beforeAll(async () => {
+            server = await startStubServer(esploraStub);
+            client = blockExplorerClient(NETWORKS.TESTNET, {fetch: httpFetch, apiURL: `${stubServerURL(server)}/api`});
+        });
+
+        afterAll((done) => {
+            server.close(done);
+        });
+
+        it('should use the API of the block explorer', async () => {
+            const requests = [];
+            function recordingFetch(url) {
+                requests.push(url);
+                return Promise.resolve({ok: true, status: 200, text: () => Promise.resolve(transactionHex)});
+            }
+            await blockExplorerClient(NETWORKS.TESTNET, {fetch: recordingFetch}).getTransactionHex(txid1);
+            await blockExplorerClient(NETWORKS.MAINNET, {fetch: recordingFetch, explorer: "MEMPOOL_SPACE"}).getTransactionHex(txid1);
+            expect(requests).toEqual([`https://blockstream.info/testnet/api/tx/${txid1}/hex`, `https://mempool.space/api/tx/${txid1}/hex`]);
+        });
 
+        it('should require a fetch function without a global fetch', () => {
+            const globalFetch = global.fetch;
+            delete global.fetch;
+            try {
+                expect(() => blockExplorerClient(NETWORKS.TESTNET)).toThrow("No global fetch is available, pass options.fetch.");
+                expect(() => blockExplorerClient(NETWORKS.TESTNET, {fetch: httpFetch})).not.toThrow();
+            } finally {
+                global.fetch = globalFetch;
+            }
+        });
+
+        it('should return UTXOs with their transactions', async () => {
+            const utxos = await client.getUtxos(address);
+            expect(utxos).toEqual([
+                {confirmed: true, txid: txid1, index: 0, amount: "0.001", amountSats: new BigNumber(100000), transactionHex},
+                {confirmed: true, txid: txid1, index: 2, amount: "0.000025", amountSats: new BigNumber(2500), transactionHex},
+                {confirmed: false, txid: txid2, index: 1, amount: "1.23456789", amountSats: new BigNumber(123456789), transactionHex: `${transactionHex}ff`},
+            ]);
+            expect(BigNumber.isBigNumber(utxos[0].amountSats)).toBe(true);
+        });
+
+        it('should return transaction hex and status', async () => {
+            expect(await client.getTransactionHex(txid1)).toBe(transactionHex);
+            expect(await client.getTransactionStatus(txid1)).toEqual({confirmed: true, blockHeight: 1000, blockHash: "00ab", blockTime: 1570000000});
+            expect(await client.getTransactionStatus(txid2)).toEqual({confirmed: false, blockHeight: null, blockHash: null, blockTime: null});
+        });
+
+        it('should return address stats and history', async () => {
+            const stats = await client.getAddressStats(address);
+            expect(stats.address).toBe(address);
+            expect(stats.chainStats.txCount).toBe(3);
+            expect(stats.chainStats.balanceSats).toEqual(new BigNumber(100000));
+            expect(stats.mempoolStats.fundedTxoSumSats).toEqual(new BigNumber(0));
+            expect(await client.hasHistory(address)).toBe(true);
+        });
+
+        it('should broadcast transactions', async () => {
+            expect(await client.broadcastTransaction(transactionHex)).toBe(txid1);
+            await expect(client.broadcastTransaction("00")).rejects.toThrow("Block explorer request for /tx failed (400): sendrawtransaction RPC error: TX decode failed");
+        });
+
+        it('should reject failed requests', async () => {
+            await expect(client.getTransactionHex("00")).rejects.toThrow("Block explorer request for /tx/00/hex failed (404): Not Found");
+        });
+    });
+
+});
@@ -0,0 +1,407 @@
+/**
+ * This module provides functions for running a
+ * [BIP129]{@link https://github.com/bitcoin/bips/blob/master/bip-0129.mediawiki}
+ * Bitcoin Secure Multisig Setup (BSMS) between a coordinator and its
+ * signers.
+ *
+ * In Round 1 each signer creates a key record, signed with the key
+ * it shares, and the coordinator parses and verifies it.  In Round 2
+ * the coordinator creates a descriptor record describing the wallet
+ * and each signer parses and verifies it.  Records may be encrypted
+ * with the TOKEN the coordinator gives each signer.
+ * @module bsms
+ */
+
+import BigNumber from 'bignumber.js';
+import {multisigAddress} from "./multisig";
+import {networkData} from "./networks";
+import {validateExtendedPublicKey} from "./keys";
+import {validateBIP32Path} from "./bip32";
+import {
+  multisigDescriptor,
+  parseMultisigDescriptor,
+  validateDescriptorChecksum,
+} from "./descriptors";
+import {generateMultisigFromWalletConfig} from "./caravan";
+
+const bitcoin = require('bitcoinjs-lib');
+const varuint = require('varuint-bitcoin');
+const bip32 = require('bip32');
+const ecc = require('tiny-secp256k1');
+const aes = require('aes-js');
+const createHmac = require('create-hmac');
+const {pbkdf2Sync} = require('pbkdf2');
+const randomBytes = require('randombytes');
+
+/**
+ * The version line which begins each BSMS record.
+ */
+export const BSMS_VERSION = "BSMS 1.0";
+
+/**
+ * The TOKEN used when records are not encrypted.
+ */
+export const BSMS_NO_ENCRYPTION_TOKEN = "00";
+
+const BSMS_PATH_RESTRICTIONS = "/0/*,/1/*";
+const BSMS_NO_PATH_RESTRICTIONS = "No path restrictions";
+const BSMS_MAXIMUM_DESCRIPTION_LENGTH = 80;
+const BSMS_TOKEN_REGEX = /^(00|[0-9a-f]{16}|[0-9a-f]{32})$/;
+const BSMS_KEY_REGEX = /^\[([0-9a-fA-F]{8})((?:\/\d+['h]?)+)\](\S+)$/;
+const BSMS_ENCRYPTION_PASSWORD = "No SPOF";
+const BSMS_ENCRYPTION_ITERATIONS = 2048;
+const BSMS_ENCRYPTION_KEY_LENGTH = 32;
+const BSMS_MAC_LENGTH = 32;
+const BSMS_IV_LENGTH = 16;
+
+const MESSAGE_MAGIC = "Bitcoin Signed Message:\n";
+const COMPRESSED_MESSAGE_SIGNATURE_HEADER = 31;
+const CURVE_ORDER = new BigNumber("fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141", 16);
+const FIELD_PRIME = new BigNumber("fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f", 16);
+
+/**
+ * Generate a random TOKEN for a signer.
+ * @param {number} [length=8] - length of the TOKEN in bytes, 8 (standard) or 16 (extended)
+ * @example
+ * const token = generateBSMSToken(); // a54044308ceac9b7
+ * @returns {string} hex representation of the TOKEN
+ */
+export function generateBSMSToken(length) {
+  const tokenLength = length || 8;
+  if (tokenLength !== 8 && tokenLength !== 16) {
+    throw new Error("BSMS TOKEN must be 8 or 16 bytes.");
+  }
+  return randomBytes(tokenLength).toString('hex');
+}
+
+/**
+ * Encrypt a BSMS record with a TOKEN.
+ *
+ * Records are not encrypted when the TOKEN is `00`.
+ * @param {string} token - hex representation of the TOKEN
+ * @param {string} record - the record to encrypt
+ * @example
+ * const encryptedRecord = encryptBSMSRecord("a54044308ceac9b7", keyRecord); // 5ff8b7...
+ * @returns {string} hex representation of the MAC followed by the ciphertext
+ */
+export function encryptBSMSRecord(token, record) {
+  validateBSMSTokenOrThrow(token);
+  if (token === BSMS_NO_ENCRYPTION_TOKEN) {
+    return record;
+  }
+  const {encryptionKey, macKey} = bsmsKeys(token);
+  const data = Buffer.from(record, 'utf8');
+  const mac = bsmsMAC(macKey, token, data);
+  return Buffer.concat([mac, aesCTR(encryptionKey, mac, data)]).toString('hex');
+}
+
+/**
+ * Decrypt a BSMS record with a TOKEN and verify its MAC.
+ *
+ * Records are not encrypted when the TOKEN is `00`.
+ * @param {string} token - hex representation of the TOKEN
+ * @param {string} encryptedRecord - hex representation of the MAC followed by the ciphertext
+ * @example
+ * const keyRecord = decryptBSMSRecord("a54044308ceac9b7", encryptedRecord); // BSMS 1.0...
+ * @returns {string} the decrypted record
+ */
+export function decryptBSMSRecord(token, encryptedRecord) {
+  validateBSMSTokenOrThrow(token);
+  if (token === BSMS_NO_ENCRYPTION_TOKEN) {
+    return encryptedRecord;
+  }
+  const encrypted = Buffer.from(encryptedRecord.trim(), 'hex');
+  if (encrypted.length <= BSMS_MAC_LENGTH) {
+    throw new Error("Encrypted BSMS record is too short.");
+  }
+  const {encryptionKey, macKey} = bsmsKeys(token);
+  const mac = encrypted.slice(0, BSMS_MAC_LENGTH);
+  const data = aesCTR(encryptionKey, mac, encrypted.slice(BSMS_MAC_LENGTH));
+  if (!constantTimeEqual(mac, bsmsMAC(macKey, token, data))) {
+    throw new Error("BSMS record could not be decrypted with this TOKEN.");
+  }
+  return data.toString('utf8');
+}
+
+function bsmsKeys(token) {
+  const encryptionKey = pbkdf2Sync(BSMS_ENCRYPTION_PASSWORD, Buffer.from(token, 'hex'), BSMS_ENCRYPTION_ITERATIONS, BSMS_ENCRYPTION_KEY_LENGTH, 'sha512');
+  return {encryptionKey, macKey: bitcoin.crypto.sha256(encryptionKey)};
+}
+
+function bsmsMAC(macKey, token, data) {
+  return createHmac('sha256', macKey).update(Buffer.concat([Buffer.from(token, 'hex'), data])).digest();
+}
+
+// AES-256-CTR encryption and decryption are the same operation.  The
+// initial counter block is the first 16 bytes of the MAC.
+function aesCTR(encryptionKey, mac, data) {
+  const counter = new aes.Counter(mac.slice(0, BSMS_IV_LENGTH));
+  const ctr = new aes.ModeOfOperation.ctr(encryptionKey, counter);
+  return Buffer.from(ctr.encrypt(data));
+}
+
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+}
+
+function validateBSMSTokenOrThrow(token) {
+  if (typeof token !== "string" || !token.match(BSMS_TOKEN_REGEX)) {
+    throw new Error("BSMS TOKEN must be 00 or 8 or 16 bytes of lowercase hex.");
+  }
+}
+
+/**
+ * Create a signer's Round 1 key record.
+ *
+ * The key record shares the extended public key at `bip32Path` and is
+ * signed with its private key.
+ * @param {Object} config - the signer's key
+ * @param {string} config.token - hex representation of the TOKEN given by the coordinator
+ * @param {string} config.privateKey - base58 encoded root extended private key
+ * @param {string} config.bip32Path - BIP32 derivation path of the shared key
+ * @param {string} config.description - description of the signer, at most 80 characters
+ * @param {module:networks.NETWORKS} config.network - bitcoin network
+ * @example
+ * const keyRecord = generateBSMSKeyRecord({
+ *   token: "a54044308ceac9b7",
+ *   privateKey: "xprv...",
+ *   bip32Path: "m/48'/0'/0'/2'",
+ *   description: "Signer 1 key",
+ *   network: NETWORKS.MAINNET,
+ * });
+ * const encryptedRecord = encryptBSMSRecord("a54044308ceac9b7", keyRecord);
+ * @returns {string} the key record
+ */
+export function generateBSMSKeyRecord(config) {
+  validateBSMSTokenOrThrow(config.token);
+  const pathError = validateBIP32Path(config.bip32Path, {mode: "hardened"});
+  if (pathError !== '') {
+    throw new Error(pathError);
+  }
+  if (config.description.length > BSMS_MAXIMUM_DESCRIPTION_LENGTH) {
+    throw new Error(`BSMS description must be at most ${BSMS_MAXIMUM_DESCRIPTION_LENGTH} characters.`);
+  }
+  const root = bip32.fromBase58(config.privateKey, networkData(config.network));
+  if (root.isNeutered()) {
+    throw new Error("Cannot sign with an extended public key.");
+  }
+  const node = root.derivePath(config.bip32Path);
+  const xfp = root.fingerprint.toString('hex');
+  const lines = [
+    BSMS_VERSION,
+    config.token,
+    `[${xfp}${config.bip32Path.replace(/^m/, "")}]${node.neutered().toBase58()}`,
+    config.description,
+  ];
+  return [...lines, signMessage(node, lines.join("\n"))].join("\n");
+}
+
+/**
+ * Parse a signer's Round 1 key record and verify its signature.
+ * @param {string} record - the (decrypted) key record
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {string} [token] - the TOKEN given to the signer, which the record must contain
+ * @example
+ * const key = parseBSMSKeyRecord(decryptBSMSRecord(token, encryptedRecord), NETWORKS.MAINNET, token);
+ * console.log(key); // {token: "a54044308ceac9b7", xfp: "793fc70b", bip32Path: "m/48'/0'/0'/2'", xpub: "xpub...", description: "Signer 1 key"}
+ * @returns {Object} the `token`, `xfp`, `bip32Path`, `xpub`, and `description` of the signer's key
+ */
+export function parseBSMSKeyRecord(record, network, token) {
+  const lines = record.trim().split(/\r?\n/);
+  if (lines.length !== 5 || lines[0] !== BSMS_VERSION) {
+    throw new Error(`BSMS key record must have 5 lines beginning with ${BSMS_VERSION}.`);
+  }
+  const [, recordToken, keyExpression, description, signature] = lines;
+  validateBSMSTokenOrThrow(recordToken);
+  if (token !== undefined && recordToken !== token) {
+    throw new Error("BSMS key record has the wrong TOKEN.");
+  }
+  const keyMatch = keyExpression.match(BSMS_KEY_REGEX);
+  if (!keyMatch) {
+    throw new Error(`Invalid BSMS key: ${keyExpression}.`);
+  }
+  const [, xfp, originPath, xpub] = keyMatch;
+  const bip32Path = `m${originPath.replace(/h/g, "'")}`;
+  const pathError = validateBIP32Path(bip32Path);
+  if (pathError !== '') {
+    throw new Error(pathError);
+  }
+  const xpubError = validateExtendedPublicKey(xpub, network);
+  if (xpubError !== '') {
+    throw new Error(xpubError);
+  }
+  if (description.length > BSMS_MAXIMUM_DESCRIPTION_LENGTH) {
+    throw new Error(`BSMS description must be at most ${BSMS_MAXIMUM_DESCRIPTION_LENGTH} characters.`);
+  }
+  const publicKey = bip32.fromBase58(xpub, networkData(network)).publicKey.toString('hex');
+  if (!verifyBSMSSignature(lines.slice(0, 4).join("\n"), signature, publicKey)) {
+    throw new Error("BSMS key record signature is invalid.");
+  }
+  return {
+    token: recordToken,
+    xfp: xfp.toLowerCase(),
+    bip32Path,
+    xpub,
+    description,
+  };
+}
+
+/**
+ * Create the coordinator's Round 2 descriptor record.
+ *
+ * The record contains the wallet's descriptor template, its path
+ * restrictions (receive and change addresses), and its first address.
+ * @param {Object} config - the wallet configuration, e.g. with `extendedPublicKeys` from `parseBSMSKeyRecord`
+ * @example
+ * const descriptorRecord = generateBSMSDescriptorRecord({
+ *   addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+ *   network: NETWORKS.MAINNET,
+ *   quorum: {requiredSigners: 2, totalSigners: 3},
+ *   extendedPublicKeys: keys,
+ * });
+ * @returns {string} the descriptor record
+ */
+export function generateBSMSDescriptorRecord(config) {
+  const descriptorTemplate = multisigDescriptor({
+    addressType: config.addressType,
+    requiredSigners: config.quorum.requiredSigners,
+    keys: config.extendedPublicKeys.map(({xfp, bip32Path, xpub}) => ({xfp, bip32Path, xpub, childPath: "**"})),
+  });
+  return [
+    BSMS_VERSION,
+    descriptorTemplate,
+    BSMS_PATH_RESTRICTIONS,
+    multisigAddress(generateMultisigFromWalletConfig(config, "0/0")),
+  ].join("\n");
+}
+
+/**
+ * Parse the coordinator's Round 2 descriptor record and verify its
+ * first address.
+ *
+ * Signers should then check that the wallet contains their key.
+ * @param {string} record - the (decrypted) descriptor record
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const config = parseBSMSDescriptorRecord(decryptBSMSRecord(token, encryptedRecord), NETWORKS.MAINNET);
+ * console.log(config.quorum); // {requiredSigners: 2, totalSigners: 3}
+ * @returns {Object} the wallet's `name`, `addressType`, `network`, `quorum`, `extendedPublicKeys`, and `firstAddress`
+ */
+export function parseBSMSDescriptorRecord(record, network) {
+  const lines = record.trim().split(/\r?\n/);
+  if (lines.length !== 4 || lines[0] !== BSMS_VERSION) {
+    throw new Error(`BSMS descriptor record must have 4 lines beginning with ${BSMS_VERSION}.`);
+  }
+  const [, descriptorTemplate, pathRestrictions, firstAddress] = lines;
+  const checksumError = validateDescriptorChecksum(descriptorTemplate);
+  if (checksumError !== '') {
+    throw new Error(checksumError);
+  }
+  if (pathRestrictions !== BSMS_PATH_RESTRICTIONS && pathRestrictions !== BSMS_NO_PATH_RESTRICTIONS) {
+    throw new Error(`Unsupported BSMS path restrictions: ${pathRestrictions}.`);
+  }
+  const descriptor = descriptorTemplate.split("#")[0].replace(/\/\*\*/g, "/0/*");
+  const {addressType, requiredSigners, sorted, keys} = parseMultisigDescriptor(descriptor);
+  if (!sorted) {
+    throw new Error("BSMS descriptor template must use sortedmulti.");
+  }
+  const config = {
+    name: null,
+    addressType,
+    network,
+    quorum: {requiredSigners, totalSigners: keys.length},
+    extendedPublicKeys: keys.map((key) => {
+      if (!key.xpub || key.childPath !== "0/*") {
+        throw new Error("BSMS descriptor template keys must be extended public keys ending in /**.");
+      }
+      const xpubError = validateExtendedPublicKey(key.xpub, network);
+      if (xpubError !== '') {
+        throw new Error(xpubError);
+      }
+      return {xfp: key.xfp, bip32Path: key.bip32Path, xpub: key.xpub};
+    }),
+  };
+  if (multisigAddress(generateMultisigFromWalletConfig(config, "0/0")) !== firstAddress) {
+    throw new Error("BSMS descriptor record's first address does not match its descriptor template.");
+  }
+  return {...config, firstAddress};
+}
+
+function messageHash(message) {
+  const magic = Buffer.from(MESSAGE_MAGIC, 'utf8');
+  const messageBuffer = Buffer.from(message, 'utf8');
+  return bitcoin.crypto.hash256(Buffer.concat([varuint.encode(magic.length), magic, varuint.encode(messageBuffer.length), messageBuffer]));
+}
+
+// Sign a message in the "Bitcoin Signed Message" format as a
+// base64-encoded compact signature with a recovery ID.
+function signMessage(node, message) {
+  const hash = messageHash(message);
+  const signature = ecc.sign(hash, node.privateKey);
+  const recoveryId = [0, 1, 2, 3].find((id) => {
+    const publicKey = recoverPublicKey(hash, signature, id);
+    return publicKey !== null && publicKey.equals(node.publicKey);
+  });
+  const header = COMPRESSED_MESSAGE_SIGNATURE_HEADER + recoveryId;
+  return Buffer.concat([Buffer.from([header]), signature]).toString('base64');
+}
+
+/**
+ * Verify a signature in a BSMS key record, a "Bitcoin Signed Message"
+ * compact signature.
+ *
+ * The public key is recovered from the signature with the recovery ID
+ * in its header, including recovery IDs 2 and 3 for signatures whose
+ * point R has an x coordinate larger than the curve order.
+ * @param {string} message - the signed message, e.g. the first 4 lines of a key record
+ * @param {string} signature - base64 encoded compact signature
+ * @param {string} publicKey - hex compressed public key of the signer
+ * @example
+ * const valid = verifyBSMSSignature(lines.slice(0, 4).join("\n"), lines[4], publicKey);
+ * @returns {boolean} whether the signature is valid
+ */
+export function verifyBSMSSignature(message, signature, publicKey) {
+  const signatureBuffer = Buffer.from(signature, 'base64');
+  if (signatureBuffer.length !== 65 || signatureBuffer[0] < 27 || signatureBuffer[0] > 42) {
+    return false;
+  }
+  try {
+    const recoveredPublicKey = recoverPublicKey(messageHash(message), signatureBuffer.slice(1), (signatureBuffer[0] - 27) % 4);
+    return recoveredPublicKey !== null && recoveredPublicKey.toString('hex') === publicKey.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+}
+
+// Recover the compressed public key Q = (sR - eG)/r from a signature.
+// The low bit of the recovery ID is the parity of the y coordinate of
+// R, and the high bit is set when R's x coordinate is r + n rather
+// than r.  Returns null if there is no such point R.
+function recoverPublicKey(hash, signature, recoveryId) {
+  const r = new BigNumber(signature.slice(0, 32).toString('hex'), 16);
+  const s = new BigNumber(signature.slice(32).toString('hex'), 16);
+  const e = new BigNumber(hash.toString('hex'), 16).mod(CURVE_ORDER);
+  const x = (recoveryId >= 2 ? r.plus(CURVE_ORDER) : r);
+  if (x.gte(FIELD_PRIME)) {
+    return null;
+  }
+  const point = Buffer.concat([Buffer.from([0x02 + (recoveryId % 2)]), scalarBuffer(x)]);
+  if (r.isZero() || e.isZero() || !ecc.isPoint(point)) {
+    return null;
+  }
+  const sR = ecc.pointMultiply(point, scalarBuffer(s));
+  const sRMinusEG = sR && ecc.pointAdd(sR, ecc.pointFromScalar(scalarBuffer(CURVE_ORDER.minus(e))));
+  const rInverse = r.exponentiatedBy(CURVE_ORDER.minus(2), CURVE_ORDER);
+  return sRMinusEG && ecc.pointMultiply(sRMinusEG, scalarBuffer(rInverse), true);
+}
+
+function scalarBuffer(scalar) {
+  return Buffer.from(scalar.toString(16).padStart(64, "0"), 'hex');
+}
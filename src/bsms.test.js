@@ -0,0 +1,244 @@
+import {
+    BSMS_VERSION,
+    generateBSMSToken,
+    encryptBSMSRecord,
+    decryptBSMSRecord,
+    generateBSMSKeyRecord,
+    parseBSMSKeyRecord,
+    generateBSMSDescriptorRecord,
+    parseBSMSDescriptorRecord,
+    verifyBSMSSignature,
+} from './bsms';
+import {generateMultisigFromWalletConfig} from './caravan';
+import {addDescriptorChecksum} from './descriptors';
+import {MULTISIG_ADDRESS_TYPES, multisigAddress} from './multisig';
+import {NETWORKS} from './networks';
+import {signingKeys} from './test_constants';
+
+const bitcoin = require('bitcoinjs-lib');
+const bip32 = require('bip32');
+const bitcoinMessage = require('bitcoinjs-message');
+const secp256k1 = require('secp256k1');
+
+const token = "a54044308ceac9b7";
+const bip32Path = "m/48'/1'/0'/2'";
+
+function keyRecord(signingKey, description) {
+    return generateBSMSKeyRecord({
+        token,
+        privateKey: signingKey.rootTprv,
+        bip32Path,
+        description: description || `Signer ${signingKey.xfp}`,
+        network: NETWORKS.TESTNET,
+    });
+}
+
+function signingNode(signingKey) {
+    return bip32.fromBase58(signingKey.rootTprv, bitcoin.networks.testnet).derivePath(bip32Path);
+}
+
+const walletConfig = {
+    addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+    network: NETWORKS.TESTNET,
+    quorum: {requiredSigners: 2, totalSigners: 3},
+    extendedPublicKeys: signingKeys.map((key) => ({xfp: key.xfp, bip32Path, xpub: key.tpub})),
+};
+
+describe("Test BSMS", () => {
+    describe("Test generateBSMSToken", () => {
+        it("should generate random standard and extended tokens", () => {
+            expect(generateBSMSToken()).toMatch(/^[0-9a-f]{16}$/);
+            expect(generateBSMSToken(16)).toMatch(/^[0-9a-f]{32}$/);
+            expect(generateBSMSToken()).not.toBe(generateBSMSToken());
+            expect(() => generateBSMSToken(4)).toThrow("BSMS TOKEN must be 8 or 16 bytes.");
+        });
+    });
+
+    describe("Test encryptBSMSRecord and decryptBSMSRecord", () => {
+        const record = keyRecord(signingKeys[0]);
+
+        it("should round trip a record", () => {
+            const encrypted = encryptBSMSRecord(token, record);
+            expect(encrypted).toMatch(/^[0-9a-f]+$/);
+            expect(encrypted.length).toBe(2 * (32 + Buffer.from(record).length));
+            expect(decryptBSMSRecord(token, encrypted)).toBe(record);
+        });
+
+        it("should encrypt records with known answers", () => {
+            // MAC followed by the AES-256-CTR ciphertext, computed independently with node's crypto module
+            [
+                ["a54044308ceac9b7", "2ecd8e0e7eae38f946036456e352f2a82f100896eb4e996c85d57a38204ec3a6", "ebc844ab0a071538945cc960d58d0d66ba1085edc2bd165e"],
+                ["1e18c0ac5b3c0e4a7e4d3a4f0c9e2b11", "3596ac5480786f0ccc2d3379598f0d0142d7029d3a894bfc5121f6c4d8a23761", "b2e0e72ca9e058e4ee550647818566248cce15d026c81a6c"],
+            ].forEach(([knownToken, mac, ciphertext]) => {
+                const plaintext = "BSMS 1.0\n00\nSigner 1 key";
+                expect(encryptBSMSRecord(knownToken, plaintext)).toBe(`${mac}${ciphertext}`);
+                expect(decryptBSMSRecord(knownToken, `${mac}${ciphertext}`)).toBe(plaintext);
+            });
+        });
+
+        it("should be deterministic for a given token", () => {
+            expect(encryptBSMSRecord(token, record)).toBe(encryptBSMSRecord(token, record));
+            expect(encryptBSMSRecord("b54044308ceac9b7", record)).not.toBe(encryptBSMSRecord(token, record));
+        });
+
+        it("should not encrypt records with the 00 token", () => {
+            expect(encryptBSMSRecord("00", record)).toBe(record);
+            expect(decryptBSMSRecord("00", record)).toBe(record);
+        });
+
+        it("should reject the wrong token or a modified record", () => {
+            const encrypted = encryptBSMSRecord(token, record);
+            expect(() => decryptBSMSRecord("b54044308ceac9b7", encrypted)).toThrow("BSMS record could not be decrypted with this TOKEN.");
+            const modified = `${encrypted.slice(0, -2)}${encrypted.slice(-2) === "00" ? "01" : "00"}`;
+            expect(() => decryptBSMSRecord(token, modified)).toThrow("BSMS record could not be decrypted with this TOKEN.");
+            expect(() => decryptBSMSRecord(token, "abcd")).toThrow("Encrypted BSMS record is too short.");
+        });
+
+        it("should reject invalid tokens", () => {
+            expect(() => encryptBSMSRecord("xyz", record)).toThrow("BSMS TOKEN must be 00 or 8 or 16 bytes of lowercase hex.");
+        });
+    });
+
+    describe("Test verifyBSMSSignature", () => {
+        const message = "BSMS 1.0\n00\nSigner 1 key";
+
+        it("should verify signatures by other implementations", () => {
+            const node = signingNode(signingKeys[0]);
+            const signature = bitcoinMessage.sign(message, node.privateKey, true).toString('base64');
+            expect(verifyBSMSSignature(message, signature, node.publicKey.toString('hex'))).toBe(true);
+            expect(verifyBSMSSignature(`${message}.`, signature, node.publicKey.toString('hex'))).toBe(false);
+            expect(verifyBSMSSignature(message, signature, signingNode(signingKeys[1]).publicKey.toString('hex'))).toBe(false);
+            expect(verifyBSMSSignature(message, signature.slice(4), node.publicKey.toString('hex'))).toBe(false);
+        });
+
+        it("should verify signatures whose R has an x coordinate larger than the curve order", () => {
+            // R = (n + 2, even y) is a point on the curve, so r = 2 and the recovery ID is 2.
+            const r = Buffer.alloc(32);
+            r[31] = 2;
+            const compactSignature = Buffer.concat([r, Buffer.alloc(32, 0x11)]);
+            const publicKey = secp256k1.recover(bitcoinMessage.magicHash(message), compactSignature, 2, true);
+            const address = bitcoin.payments.p2pkh({pubkey: publicKey}).address;
+            const signature = Buffer.concat([Buffer.from([33]), compactSignature]).toString('base64');
+            expect(bitcoinMessage.verify(message, address, signature)).toBe(true);
+            expect(verifyBSMSSignature(message, signature, publicKey.toString('hex'))).toBe(true);
+            const wrongRecoveryId = Buffer.concat([Buffer.from([31]), compactSignature]).toString('base64');
+            expect(verifyBSMSSignature(message, wrongRecoveryId, publicKey.toString('hex'))).toBe(false);
+        });
+    });
+
+    describe("Test key records", () => {
+        it("should generate a signed key record", () => {
+            const lines = keyRecord(signingKeys[0], "Signer 1 key").split("\n");
+            expect(lines.slice(0, 4)).toEqual([
+                BSMS_VERSION,
+                token,
+                `[${signingKeys[0].xfp}/48'/1'/0'/2']${signingKeys[0].tpub}`,
+                "Signer 1 key",
+            ]);
+            const signature = Buffer.from(lines[4], 'base64');
+            expect(signature.length).toBe(65);
+            expect(signature[0]).toBeGreaterThanOrEqual(31);
+            expect(signature[0]).toBeLessThanOrEqual(34);
+        });
+
+        it("should sign key records as standard Bitcoin signed messages", () => {
+            const lines = keyRecord(signingKeys[0], "Signer 1 key").split("\n");
+            const node = signingNode(signingKeys[0]);
+            const address = bitcoin.payments.p2pkh({pubkey: node.publicKey, network: bitcoin.networks.testnet}).address;
+            expect(bitcoinMessage.verify(lines.slice(0, 4).join("\n"), address, lines[4])).toBe(true);
+        });
+
+        it("should create the same signatures as other implementations", () => {
+            const lines = keyRecord(signingKeys[0], "Signer 1 key").split("\n");
+            const signature = bitcoinMessage.sign(lines.slice(0, 4).join("\n"), signingNode(signingKeys[0]).privateKey, true);
+            expect(lines[4]).toBe(signature.toString('base64'));
+        });
+
+        it("should verify key records signed by other implementations", () => {
+            const lines = keyRecord(signingKeys[1]).split("\n").slice(0, 4);
+            const signature = bitcoinMessage.sign(lines.join("\n"), signingNode(signingKeys[1]).privateKey, true).toString('base64');
+            expect(parseBSMSKeyRecord([...lines, signature].join("\n"), NETWORKS.TESTNET, token).xpub).toBe(signingKeys[1].tpub);
+        });
+
+        it("should parse and verify key records", () => {
+            signingKeys.forEach((signingKey) => {
+                expect(parseBSMSKeyRecord(keyRecord(signingKey), NETWORKS.TESTNET, token)).toEqual({
+                    token,
+                    xfp: signingKey.xfp,
+                    bip32Path,
+                    xpub: signingKey.tpub,
+                    description: `Signer ${signingKey.xfp}`,
+                });
+            });
+        });
+
+        it("should parse encrypted key records", () => {
+            const encrypted = encryptBSMSRecord(token, keyRecord(signingKeys[1]));
+            expect(parseBSMSKeyRecord(decryptBSMSRecord(token, encrypted), NETWORKS.TESTNET, token).xpub).toBe(signingKeys[1].tpub);
+        });
+
+        it("should reject key records with invalid signatures", () => {
+            const lines = keyRecord(signingKeys[0]).split("\n");
+            const otherSignature = keyRecord(signingKeys[1]).split("\n")[4];
+            expect(() => parseBSMSKeyRecord([...lines.slice(0, 3), "Tampered", lines[4]].join("\n"), NETWORKS.TESTNET)).toThrow("BSMS key record signature is invalid.");
+            expect(() => parseBSMSKeyRecord([...lines.slice(0, 4), otherSignature].join("\n"), NETWORKS.TESTNET)).toThrow("BSMS key record signature is invalid.");
+            expect(() => parseBSMSKeyRecord([...lines.slice(0, 4), "c2lnbmF0dXJl"].join("\n"), NETWORKS.TESTNET)).toThrow("BSMS key record signature is invalid.");
+        });
+
+        it("should reject invalid key records", () => {
+            const record = keyRecord(signingKeys[0]);
+            const lines = record.split("\n");
+            expect(() => parseBSMSKeyRecord(record, NETWORKS.TESTNET, "b54044308ceac9b7")).toThrow("BSMS key record has the wrong TOKEN.");
+            expect(() => parseBSMSKeyRecord(record.replace(BSMS_VERSION, "BSMS 2.0"), NETWORKS.TESTNET)).toThrow("BSMS key record must have 5 lines beginning with BSMS 1.0.");
+            expect(() => parseBSMSKeyRecord(lines.slice(0, 4).join("\n"), NETWORKS.TESTNET)).toThrow("BSMS key record must have 5 lines beginning with BSMS 1.0.");
+            expect(() => parseBSMSKeyRecord(record.replace(`[${signingKeys[0].xfp}/48'/1'/0'/2']`, ""), NETWORKS.TESTNET)).toThrow("Invalid BSMS key");
+            expect(() => parseBSMSKeyRecord(record, NETWORKS.MAINNET)).toThrow("Extended public key must begin with 'xpub'.");
+        });
+
+        it("should validate key record inputs", () => {
+            expect(() => keyRecord(signingKeys[0], "x".repeat(81))).toThrow("BSMS description must be at most 80 characters.");
+            expect(() => generateBSMSKeyRecord({token, privateKey: signingKeys[0].tpub, bip32Path, description: "", network: NETWORKS.TESTNET})).toThrow("Cannot sign with an extended public key.");
+            expect(() => generateBSMSKeyRecord({token, privateKey: signingKeys[0].rootTprv, bip32Path: "m/48'/1'/0'/2", description: "", network: NETWORKS.TESTNET})).toThrow("BIP32 path must be fully-hardened.");
+        });
+    });
+
+    describe("Test descriptor records", () => {
+        it("should generate a descriptor record", () => {
+            const lines = generateBSMSDescriptorRecord(walletConfig).split("\n");
+            const keys = signingKeys.map((key) => `[${key.xfp}/48'/1'/0'/2']${key.tpub}/**`);
+            expect(lines).toEqual([
+                BSMS_VERSION,
+                addDescriptorChecksum(`wsh(sortedmulti(2,${keys.join(",")}))`),
+                "/0/*,/1/*",
+                multisigAddress(generateMultisigFromWalletConfig(walletConfig, "0/0")),
+            ]);
+        });
+
+        it("should parse and verify descriptor records", () => {
+            const record = generateBSMSDescriptorRecord(walletConfig);
+            expect(parseBSMSDescriptorRecord(record, NETWORKS.TESTNET)).toEqual({
+                name: null,
+                ...walletConfig,
+                firstAddress: record.split("\n")[3],
+            });
+        });
+
+        it("should parse the keys from signers' key records", () => {
+            const keys = signingKeys.map((signingKey) => parseBSMSKeyRecord(keyRecord(signingKey), NETWORKS.TESTNET, token));
+            const record = generateBSMSDescriptorRecord({...walletConfig, extendedPublicKeys: keys});
+            expect(record).toBe(generateBSMSDescriptorRecord(walletConfig));
+        });
+
+        it("should reject invalid descriptor records", () => {
+            const record = generateBSMSDescriptorRecord(walletConfig);
+            const lines = record.split("\n");
+            const otherAddress = multisigAddress(generateMultisigFromWalletConfig(walletConfig, "0/1"));
+            expect(() => parseBSMSDescriptorRecord([...lines.slice(0, 3), otherAddress].join("\n"), NETWORKS.TESTNET)).toThrow("BSMS descriptor record's first address does not match its descriptor template.");
+            expect(() => parseBSMSDescriptorRecord(record.replace("sortedmulti(2", "sortedmulti(1"), NETWORKS.TESTNET)).toThrow("Descriptor checksum is invalid.");
+            expect(() => parseBSMSDescriptorRecord(record.replace("/0/*,/1/*", "/0/*"), NETWORKS.TESTNET)).toThrow("Unsupported BSMS path restrictions: /0/*.");
+            expect(() => parseBSMSDescriptorRecord(lines.slice(0, 3).join("\n"), NETWORKS.TESTNET)).toThrow("BSMS descriptor record must have 4 lines beginning with BSMS 1.0.");
+            const multiLines = [BSMS_VERSION, addDescriptorChecksum(lines[1].split("#")[0].replace("sortedmulti", "multi")), lines[2], lines[3]];
+            expect(() => parseBSMSDescriptorRecord(multiLines.join("\n"), NETWORKS.TESTNET)).toThrow("BSMS descriptor template must use sortedmulti.");
+        });
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * This module provides functions for importing, exporting, and
+ * validating the JSON wallet configurations used by
+ * [Caravan]{@link https://github.com/unchained-capital/caravan}.
+ * @module caravan
+ */
+
+import {
+  MULTISIG_ADDRESS_TYPES,
+  generateSortedMultisigFromPublicKeys,
+} from "./multisig";
+import {NETWORKS} from "./networks";
+import {validateExtendedPublicKey} from "./keys";
+import {validateBIP32Path, deriveChildPublicKey} from "./bip32";
+
+const XFP_REGEX = /^[0-9a-fA-F]{8}$/;
+
+/**
+ * Provide validation messages for a Caravan wallet configuration.
+ *
+ * Messages name the invalid field, e.g.
+ * `extendedPublicKeys[1].bip32Path`.
+ * @param {Object} config - the wallet configuration
+ * @example
+ * const validationError = validateCaravanWalletConfig({...config, quorum: {requiredSigners: 4, totalSigners: 3}});
+ * console.log(validationError); // quorum.requiredSigners must be between 1 and 3.
+ * @returns {string} empty if valid or corresponding validation message
+ */
+export function validateCaravanWalletConfig(config) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return "Wallet configuration must be an object.";
+  }
+  if (typeof config.name !== "string" || config.name.trim() === '') {
+    return "name cannot be blank.";
+  }
+  const addressTypes = Object.values(MULTISIG_ADDRESS_TYPES);
+  if (!addressTypes.includes(config.addressType)) {
+    return `addressType must be one of ${addressTypes.join(", ")}.`;
+  }
+  const networks = Object.values(NETWORKS);
+  if (!networks.includes(config.network)) {
+    return `network must be one of ${networks.join(", ")}.`;
+  }
+  if (!Array.isArray(config.extendedPublicKeys) || config.extendedPublicKeys.length === 0) {
+    return "extendedPublicKeys cannot be empty.";
+  }
+  const quorumError = validateQuorum(config.quorum, config.extendedPublicKeys.length);
+  if (quorumError !== '') {
+    return quorumError;
+  }
+  for (let keyIndex = 0; keyIndex < config.extendedPublicKeys.length; keyIndex++) {
+    const keyError = validateWalletExtendedPublicKey(config.extendedPublicKeys[keyIndex], config.network);
+    if (keyError !== '') {
+      return `extendedPublicKeys[${keyIndex}].${keyError}`;
+    }
+  }
+  if (config.startingAddressIndex !== undefined && !(Number.isInteger(config.startingAddressIndex) && config.startingAddressIndex >= 0)) {
+    return "startingAddressIndex must be a non-negative integer.";
+  }
+  return '';
+}
+
+function validateQuorum(quorum, numKeys) {
+  if (quorum === null || typeof quorum !== "object") {
+    return "quorum cannot be blank.";
+  }
+  if (quorum.totalSigners !== numKeys) {
+    return `quorum.totalSigners must be ${numKeys}, the number of extendedPublicKeys.`;
+  }
+  if (!Number.isInteger(quorum.requiredSigners) || quorum.requiredSigners < 1 || quorum.requiredSigners > quorum.totalSigners) {
+    return `quorum.requiredSigners must be between 1 and ${quorum.totalSigners}.`;
+  }
+  return '';
+}
+
+function validateWalletExtendedPublicKey(key, network) {
+  if (key === null || typeof key !== "object") {
+    return "xpub cannot be blank.";
+  }
+  const pathError = validateBIP32Path(key.bip32Path);
+  if (pathError !== '') {
+    return `bip32Path: ${pathError}`;
+  }
+  const xpubError = validateExtendedPublicKey(key.xpub, network);
+  if (xpubError !== '') {
+    return `xpub: ${xpubError}`;
+  }
+  if (key.xfp !== undefined && !(typeof key.xfp === "string" && key.xfp.match(XFP_REGEX))) {
+    return "xfp must be 8 hexadecimal characters.";
+  }
+  return '';
+}
+
+/**
+ * Parse and validate a Caravan wallet configuration.
+ * @param {string} json - the wallet configuration JSON
+ * @example
+ * const config = parseCaravanWalletConfig(fs.readFileSync("vault.json", "utf8"));
+ * console.log(config.quorum); // {requiredSigners: 2, totalSigners: 3}
+ * @returns {Object} the wallet configuration with `startingAddressIndex` defaulting to 0 and lowercase `xfp`s
+ */
+export function parseCaravanWalletConfig(json) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid wallet configuration JSON: ${e.message}`);
+  }
+  const error = validateCaravanWalletConfig(config);
+  if (error !== '') {
+    throw new Error(`Invalid wallet configuration: ${error}`);
+  }
+  return {
+    ...config,
+    extendedPublicKeys: config.extendedPublicKeys.map((key) => (key.xfp ? {...key, xfp: key.xfp.toLowerCase()} : key)),
+    startingAddressIndex: config.startingAddressIndex || 0,
+  };
+}
+
+/**
+ * Create a Caravan wallet configuration.
+ *
+ * Any wallet configuration, such as those returned by
+ * `parseColdcardMultisigConfig`, can be converted.  Extended public
+ * keys without a `name` are named after their `xfp`.
+ * @param {Object} config - the wallet configuration
+ * @example
+ * const json = generateCaravanWalletConfig(parseColdcardMultisigConfig(setupFileText, NETWORKS.MAINNET));
+ * @returns {string} the wallet configuration JSON
+ */
+export function generateCaravanWalletConfig(config) {
+  const error = validateCaravanWalletConfig(config);
+  if (error !== '') {
+    throw new Error(`Invalid wallet configuration: ${error}`);
+  }
+  return JSON.stringify({
+    name: config.name,
+    addressType: config.addressType,
+    network: config.network,
+    client: config.client || {type: "public"},
+    quorum: {
+      requiredSigners: config.quorum.requiredSigners,
+      totalSigners: config.quorum.totalSigners,
+    },
+    extendedPublicKeys: config.extendedPublicKeys.map((key, keyIndex) => ({
+      name: key.name || key.xfp || `Extended Public Key ${keyIndex + 1}`,
+      bip32Path: key.bip32Path,
+      xpub: key.xpub,
+      xfp: key.xfp,
+      method: key.method,
+    })),
+    startingAddressIndex: config.startingAddressIndex || 0,
+  }, null, 2);
+}
+
+/**
+ * Create the Multisig object at a path relative to the extended
+ * public keys of a wallet configuration.
+ *
+ * Public keys are sorted as described in BIP67, as Caravan does.
+ * @param {Object} config - the wallet configuration
+ * @param {string} relativePath - unhardened BIP32 path relative to each extended public key, e.g. `0/5`
+ * @example
+ * const multisig = generateMultisigFromWalletConfig(config, `0/${config.startingAddressIndex}`);
+ * console.log(multisigAddress(multisig)); // bc1q...
+ * @returns {Multisig} object for further parsing
+ */
+export function generateMultisigFromWalletConfig(config, relativePath) {
+  const publicKeys = config.extendedPublicKeys.map((key) => deriveChildPublicKey(key.xpub, relativePath, config.network));
+  return generateSortedMultisigFromPublicKeys(config.network, config.addressType, config.quorum.requiredSigners, ...publicKeys);
+}
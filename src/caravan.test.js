@@ -0,0 +1,125 @@
+import {
+    validateCaravanWalletConfig,
+    parseCaravanWalletConfig,
+    generateCaravanWalletConfig,
+    generateMultisigFromWalletConfig,
+} from './caravan';
+import {parseColdcardMultisigConfig} from './coldcard';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    multisigAddress,
+} from './multisig';
+import {NETWORKS} from './networks';
+import {signingKeys} from './test_constants';
+
+const walletConfig = {
+    name: "Vault",
+    addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+    network: NETWORKS.TESTNET,
+    client: {type: "public"},
+    quorum: {requiredSigners: 2, totalSigners: 3},
+    extendedPublicKeys: signingKeys.map((key, index) => ({
+        name: `Key ${index + 1}`,
+        bip32Path: "m/48'/1'/0'/2'",
+        xpub: key.tpub,
+        xfp: key.xfp,
+        method: "text",
+    })),
+    startingAddressIndex: 0,
+};
+
+describe("Test Caravan wallet configurations", () => {
+    describe("Test validateCaravanWalletConfig", () => {
+        it("should not provide a validation message for a valid configuration", () => {
+            expect(validateCaravanWalletConfig(walletConfig)).toBe('');
+        });
+
+        it("should properly report invalid fields", () => {
+            [
+                [null, "Wallet configuration must be an object."],
+                [{...walletConfig, name: " "}, "name cannot be blank."],
+                [{...walletConfig, addressType: "P2PKH"}, "addressType must be one of P2SH, P2SH-P2WSH, P2WSH."],
+                [{...walletConfig, network: "liquid"}, "network must be one of mainnet, testnet, regtest, signet."],
+                [{...walletConfig, extendedPublicKeys: []}, "extendedPublicKeys cannot be empty."],
+                [{...walletConfig, quorum: undefined}, "quorum cannot be blank."],
+                [{...walletConfig, quorum: {requiredSigners: 2, totalSigners: 4}}, "quorum.totalSigners must be 3, the number of extendedPublicKeys."],
+                [{...walletConfig, quorum: {requiredSigners: 4, totalSigners: 3}}, "quorum.requiredSigners must be between 1 and 3."],
+                [{...walletConfig, quorum: {requiredSigners: "2", totalSigners: 3}}, "quorum.requiredSigners must be between 1 and 3."],
+                [{...walletConfig, startingAddressIndex: -1}, "startingAddressIndex must be a non-negative integer."],
+            ].forEach(([config, message]) => {
+                expect(validateCaravanWalletConfig(config)).toBe(message);
+            });
+        });
+
+        it("should properly report invalid extended public keys", () => {
+            function withKey(key) {
+                return {
+                    ...walletConfig,
+                    extendedPublicKeys: [walletConfig.extendedPublicKeys[0], {...walletConfig.extendedPublicKeys[1], ...key}, walletConfig.extendedPublicKeys[2]],
+                };
+            }
+            expect(validateCaravanWalletConfig(withKey({bip32Path: "n/0"}))).toBe("extendedPublicKeys[1].bip32Path: BIP32 path is invalid.");
+            expect(validateCaravanWalletConfig(withKey({xpub: ""}))).toBe("extendedPublicKeys[1].xpub: Extended public key cannot be blank.");
+            expect(validateCaravanWalletConfig(withKey({xfp: "xyz"}))).toBe("extendedPublicKeys[1].xfp must be 8 hexadecimal characters.");
+            expect(validateCaravanWalletConfig({...walletConfig, network: NETWORKS.MAINNET})).toBe("extendedPublicKeys[0].xpub: Extended public key must begin with 'xpub'.");
+        });
+    });
+
+    describe("Test parseCaravanWalletConfig", () => {
+        it("should parse a configuration", () => {
+            expect(parseCaravanWalletConfig(JSON.stringify(walletConfig))).toEqual(walletConfig);
+        });
+
+        it("should default the starting address index and lowercase fingerprints", () => {
+            const {startingAddressIndex, ...config} = walletConfig;
+            config.extendedPublicKeys = config.extendedPublicKeys.map((key) => ({...key, xfp: key.xfp.toUpperCase()}));
+            const parsed = parseCaravanWalletConfig(JSON.stringify(config));
+            expect(parsed.startingAddressIndex).toBe(startingAddressIndex);
+            expect(parsed.extendedPublicKeys[0].xfp).toBe(signingKeys[0].xfp);
+        });
+
+        it("should throw on invalid configurations", () => {
+            expect(() => parseCaravanWalletConfig("{")).toThrow("Invalid wallet configuration JSON");
+            expect(() => parseCaravanWalletConfig(JSON.stringify({...walletConfig, addressType: "P2PKH"}))).toThrow("Invalid wallet configuration: addressType must be one of P2SH, P2SH-P2WSH, P2WSH.");
+        });
+    });
+
+    describe("Test generateCaravanWalletConfig", () => {
+        it("should round trip through parseCaravanWalletConfig", () => {
+            expect(parseCaravanWalletConfig(generateCaravanWalletConfig(walletConfig))).toEqual(walletConfig);
+        });
+
+        it("should convert other wallet configurations", () => {
+            const coldcardText = [
+                "Name: Vault",
+                "Policy: 2 of 3",
+                "Derivation: m/48'/1'/0'/2'",
+                "Format: P2WSH",
+                ...signingKeys.map((key) => `${key.xfp}: ${key.tpub}`),
+            ].join("\n");
+            const config = JSON.parse(generateCaravanWalletConfig(parseColdcardMultisigConfig(coldcardText, NETWORKS.TESTNET)));
+            expect(config.client).toEqual({type: "public"});
+            expect(config.startingAddressIndex).toBe(0);
+            expect(config.extendedPublicKeys[0]).toEqual({
+                name: signingKeys[0].xfp,
+                bip32Path: "m/48'/1'/0'/2'",
+                xpub: signingKeys[0].tpub,
+                xfp: signingKeys[0].xfp,
+            });
+        });
+
+        it("should throw on invalid configurations", () => {
+            expect(() => generateCaravanWalletConfig({...walletConfig, name: ""})).toThrow("Invalid wallet configuration: name cannot be blank.");
+        });
+    });
+
+    describe("Test generateMultisigFromWalletConfig", () => {
+        it("should derive the sorted multisig at a relative path", () => {
+            const multisig = generateMultisigFromWalletConfig(walletConfig, "0/0");
+            const publicKeys = signingKeys.map((key) => key.pub).sort();
+            const expected = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...publicKeys);
+            expect(multisigAddress(multisig)).toBe(multisigAddress(expected));
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * This module provides functions for importing and exporting the
+ * multisig setup files used by
+ * [Coldcard]{@link https://coldcardwallet.com/docs/multisig} hardware
+ * wallets.
+ * @module coldcard
+ */
+
+import {MULTISIG_ADDRESS_TYPES, multisigBIP32Root} from "./multisig";
+import {validateExtendedPublicKey} from "./keys";
+import {validateBIP32Path} from "./bip32";
+
+const COLDCARD_ADDRESS_TYPES = {
+  "P2SH": MULTISIG_ADDRESS_TYPES.P2SH,
+  "P2SH-P2WSH": MULTISIG_ADDRESS_TYPES.P2SH_P2WSH,
+  "P2WSH-P2SH": MULTISIG_ADDRESS_TYPES.P2SH_P2WSH,
+  "P2WSH": MULTISIG_ADDRESS_TYPES.P2WSH,
+};
+
+const COLDCARD_POLICY_REGEX = /^(\d+)\s*(?:of|\/)\s*(\d+)$/i;
+const COLDCARD_XFP_REGEX = /^[0-9a-fA-F]{8}$/;
+
+/**
+ * Parse a Coldcard multisig setup file.
+ *
+ * A `Derivation:` line applies to the keys which follow it.  Keys
+ * before any `Derivation:` line use the default `multisigBIP32Root`
+ * for the address type and network.
+ * @param {string} text - contents of the setup file
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const config = parseColdcardMultisigConfig(`
+ * Name: Vault
+ * Policy: 2 of 3
+ * Derivation: m/48'/0'/0'/2'
+ * Format: P2WSH
+ *
+ * F57EC65D: xpub6...
+ * ...
+ * `, NETWORKS.MAINNET);
+ * console.log(config.quorum); // {requiredSigners: 2, totalSigners: 3}
+ * console.log(config.extendedPublicKeys[0]); // {xfp: "f57ec65d", bip32Path: "m/48'/0'/0'/2'", xpub: "xpub6..."}
+ * @returns {Object} the wallet's `name`, `addressType`, `network`, `quorum`, and `extendedPublicKeys`
+ */
+export function parseColdcardMultisigConfig(text, network) {
+  let name = null;
+  let policy = null;
+  let addressType = MULTISIG_ADDRESS_TYPES.P2SH;
+  const keyLines = [];
+  let bip32Path = null;
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (line === '' || line[0] === '#') {
+      return;
+    }
+    const separatorIndex = line.indexOf(":");
+    if (separatorIndex === -1) {
+      throw new Error(`Invalid line in Coldcard multisig setup file: ${line}`);
+    }
+    const label = line.slice(0, separatorIndex).trim();
+    const value = line.slice(separatorIndex + 1).trim();
+    switch (label.toLowerCase()) {
+    case "name":
+      name = value;
+      break;
+    case "policy":
+      policy = value;
+      break;
+    case "derivation":
+      bip32Path = value;
+      break;
+    case "format":
+      addressType = COLDCARD_ADDRESS_TYPES[value.toUpperCase()];
+      if (!addressType) {
+        throw new Error(`Invalid format in Coldcard multisig setup file: ${value}.`);
+      }
+      break;
+    default:
+      if (!label.match(COLDCARD_XFP_REGEX)) {
+        throw new Error(`Invalid fingerprint in Coldcard multisig setup file: ${label}.`);
+      }
+      keyLines.push({xfp: label.toLowerCase(), bip32Path, xpub: value});
+    }
+  });
+
+  if (keyLines.length === 0) {
+    throw new Error("Coldcard multisig setup file has no extended public keys.");
+  }
+  const quorum = parseColdcardPolicy(policy, keyLines.length);
+  const extendedPublicKeys = keyLines.map((key) => ({
+    ...key,
+    bip32Path: key.bip32Path || multisigBIP32Root(addressType, network),
+  }));
+  extendedPublicKeys.forEach((key) => {
+    const pathError = validateBIP32Path(key.bip32Path);
+    if (pathError !== '') {
+      throw new Error(`Invalid derivation for ${key.xfp.toUpperCase()}: ${pathError}`);
+    }
+    const xpubError = validateExtendedPublicKey(key.xpub, network);
+    if (xpubError !== '') {
+      throw new Error(`Invalid extended public key for ${key.xfp.toUpperCase()}: ${xpubError}`);
+    }
+  });
+
+  return {
+    name,
+    addressType,
+    network,
+    quorum,
+    extendedPublicKeys,
+  };
+}
+
+function parseColdcardPolicy(policy, numKeys) {
+  if (policy === null) {
+    return {requiredSigners: numKeys, totalSigners: numKeys};
+  }
+  const match = policy.match(COLDCARD_POLICY_REGEX);
+  if (!match) {
+    throw new Error(`Invalid policy in Coldcard multisig setup file: ${policy}.`);
+  }
+  const requiredSigners = parseInt(match[1], 10);
+  const totalSigners = parseInt(match[2], 10);
+  if (totalSigners !== numKeys) {
+    throw new Error(`Policy requires ${totalSigners} extended public keys but ${numKeys} were given.`);
+  }
+  if (requiredSigners < 1 || requiredSigners > totalSigners) {
+    throw new Error(`Invalid policy in Coldcard multisig setup file: ${policy}.`);
+  }
+  return {requiredSigners, totalSigners};
+}
+
+/**
+ * Create a Coldcard multisig setup file.
+ *
+ * If all extended public keys have the same `bip32Path` it is given
+ * once in the header, otherwise a `Derivation:` line precedes each key.
+ * @param {Object} config - the wallet, as returned by `parseColdcardMultisigConfig`
+ * @param {string} config.name - name of the wallet
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} config.addressType - address type of the wallet
+ * @param {Object} config.quorum - the wallet's `requiredSigners` and `totalSigners`
+ * @param {Object[]} config.extendedPublicKeys - each cosigner's `xfp`, `bip32Path`, and `xpub`
+ * @example
+ * const text = generateColdcardMultisigConfig(config);
+ * console.log(text); // # Coldcard Multisig setup file...
+ * @returns {string} contents of the setup file
+ */
+export function generateColdcardMultisigConfig(config) {
+  const bip32Paths = config.extendedPublicKeys.map((key) => key.bip32Path);
+  const sharedBIP32Path = bip32Paths.every((bip32Path) => (bip32Path === bip32Paths[0]));
+  const lines = [
+    "# Coldcard Multisig setup file",
+    "#",
+    `Name: ${config.name}`,
+    `Policy: ${config.quorum.requiredSigners} of ${config.quorum.totalSigners}`,
+  ];
+  if (sharedBIP32Path) {
+    lines.push(`Derivation: ${bip32Paths[0]}`);
+  }
+  lines.push(`Format: ${config.addressType}`);
+  lines.push("");
+  config.extendedPublicKeys.forEach((key) => {
+    if (!sharedBIP32Path) {
+      lines.push(`Derivation: ${key.bip32Path}`);
+    }
+    lines.push(`${key.xfp.toUpperCase()}: ${key.xpub}`);
+    if (!sharedBIP32Path) {
+      lines.push("");
+    }
+  });
+  return `${lines.join("\n").trim()}\n`;
+}
@@ -0,0 +1,89 @@
+import {parseColdcardMultisigConfig, generateColdcardMultisigConfig} from './coldcard';
+import {MULTISIG_ADDRESS_TYPES} from './multisig';
+import {NETWORKS} from './networks';
+import {signingKeys} from './test_constants';
+
+const coldcardConfigText = `# Coldcard Multisig setup file (created on 4BA43603)
+#
+Name: Vault
+Policy: 2 of 3
+Derivation: m/48'/1'/0'/2'
+Format: P2WSH
+
+${signingKeys.map((key) => `${key.xfp.toUpperCase()}: ${key.tpub}`).join("\n")}
+`;
+
+const walletConfig = {
+    name: "Vault",
+    addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+    network: NETWORKS.TESTNET,
+    quorum: {requiredSigners: 2, totalSigners: 3},
+    extendedPublicKeys: signingKeys.map((key) => ({xfp: key.xfp, bip32Path: "m/48'/1'/0'/2'", xpub: key.tpub})),
+};
+
+describe("Test Coldcard multisig setup files", () => {
+    describe("Test parseColdcardMultisigConfig", () => {
+        it("should parse a setup file", () => {
+            expect(parseColdcardMultisigConfig(coldcardConfigText, NETWORKS.TESTNET)).toEqual(walletConfig);
+        });
+
+        it("should parse a derivation for each key", () => {
+            const text = [
+                "Name: Mixed",
+                "Policy: 1 of 2",
+                "Format: P2WSH-P2SH",
+                "Derivation: m/48'/1'/0'/1'",
+                `${signingKeys[0].xfp}: ${signingKeys[0].tpub}`,
+                "Derivation: m/45'",
+                `${signingKeys[1].xfp}: ${signingKeys[1].tpub}`,
+            ].join("\r\n");
+            const config = parseColdcardMultisigConfig(text, NETWORKS.TESTNET);
+            expect(config.addressType).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+            expect(config.quorum).toEqual({requiredSigners: 1, totalSigners: 2});
+            expect(config.extendedPublicKeys.map((key) => key.bip32Path)).toEqual(["m/48'/1'/0'/1'", "m/45'"]);
+        });
+
+        it("should default to P2SH, an n of n policy, and multisigBIP32Root", () => {
+            const text = signingKeys.map((key) => `${key.xfp}: ${key.tpub}`).join("\n");
+            const config = parseColdcardMultisigConfig(text, NETWORKS.TESTNET);
+            expect(config.name).toBe(null);
+            expect(config.addressType).toBe(MULTISIG_ADDRESS_TYPES.P2SH);
+            expect(config.quorum).toEqual({requiredSigners: 3, totalSigners: 3});
+            expect(config.extendedPublicKeys[0].bip32Path).toBe("m/45'/1'/0'");
+        });
+
+        it("should throw on invalid setup files", () => {
+            expect(() => parseColdcardMultisigConfig("Name: Empty\n", NETWORKS.TESTNET)).toThrow("Coldcard multisig setup file has no extended public keys.");
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText.replace("Policy: 2 of 3", "Policy: 2 of 4"), NETWORKS.TESTNET)).toThrow("Policy requires 4 extended public keys but 3 were given.");
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText.replace("Policy: 2 of 3", "Policy: 4 of 3"), NETWORKS.TESTNET)).toThrow("Invalid policy in Coldcard multisig setup file: 4 of 3.");
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText.replace("Format: P2WSH", "Format: P2TR"), NETWORKS.TESTNET)).toThrow("Invalid format in Coldcard multisig setup file: P2TR.");
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText.replace("4BA43603:", "4BA4360:"), NETWORKS.TESTNET)).toThrow("Invalid fingerprint in Coldcard multisig setup file: 4BA4360.");
+            expect(() => parseColdcardMultisigConfig(`${coldcardConfigText}garbage\n`, NETWORKS.TESTNET)).toThrow("Invalid line in Coldcard multisig setup file: garbage");
+        });
+
+        it("should validate derivations and extended public keys", () => {
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText.replace("Derivation: m/48'/1'/0'/2'", "Derivation: m/48'/x"), NETWORKS.TESTNET)).toThrow("Invalid derivation for 4BA43603: BIP32 path is invalid.");
+            expect(() => parseColdcardMultisigConfig(coldcardConfigText, NETWORKS.MAINNET)).toThrow("Invalid extended public key for 4BA43603: Extended public key must begin with 'xpub'.");
+        });
+    });
+
+    describe("Test generateColdcardMultisigConfig", () => {
+        it("should generate a setup file", () => {
+            expect(generateColdcardMultisigConfig(walletConfig)).toBe(coldcardConfigText.replace(" (created on 4BA43603)", ""));
+        });
+
+        it("should generate a derivation for each key when they differ", () => {
+            const config = {
+                ...walletConfig,
+                extendedPublicKeys: walletConfig.extendedPublicKeys.map((key, index) => ({...key, bip32Path: `m/48'/1'/${index}'/2'`})),
+            };
+            const text = generateColdcardMultisigConfig(config);
+            expect(text).toContain(`Derivation: m/48'/1'/1'/2'\n${signingKeys[1].xfp.toUpperCase()}: ${signingKeys[1].tpub}\n`);
+            expect(parseColdcardMultisigConfig(text, NETWORKS.TESTNET)).toEqual(config);
+        });
+
+        it("should round trip through parseColdcardMultisigConfig", () => {
+            expect(parseColdcardMultisigConfig(generateColdcardMultisigConfig(walletConfig), NETWORKS.TESTNET)).toEqual(walletConfig);
+        });
+    });
+});
@@ -0,0 +1,286 @@
+/**
+ * This module provides functions for importing and exporting multisig
+ * wallets as
+ * [output descriptors]{@link https://github.com/bitcoin/bitcoin/blob/master/doc/descriptors.md}
+ * such as `wsh(sortedmulti(2,[f57ec65d/48'/0'/0'/2']xpub.../0/*,...))`
+ * and for computing and validating their checksums.
+ * @module descriptors
+ */
+
+import {
+  MULTISIG_ADDRESS_TYPES,
+  multisigBIP32Root,
+  generateMultisigFromPublicKeys,
+  generateSortedMultisigFromPublicKeys,
+} from "./multisig";
+import {deriveChildPublicKey} from "./bip32";
+import {networkData} from "./networks";
+
+const bip32 = require('bip32');
+
+const DESCRIPTOR_WRAPPERS = {
+  [MULTISIG_ADDRESS_TYPES.P2SH]: ["sh"],
+  [MULTISIG_ADDRESS_TYPES.P2SH_P2WSH]: ["sh", "wsh"],
+  [MULTISIG_ADDRESS_TYPES.P2WSH]: ["wsh"],
+};
+
+const DESCRIPTOR_FUNCTION_REGEX = /^([a-z]+)\((.*)\)$/;
+const DESCRIPTOR_KEY_REGEX = /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\])?([^/[\]]+)((?:\/\d+)*(?:\/\*)?)$/;
+const PUBLIC_KEY_REGEX = /^(02|03)[0-9a-fA-F]{64}$/;
+
+const CHECKSUM_INPUT_CHARSET = "0123456789()[],'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#\"\\ ";
+const CHECKSUM_CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const CHECKSUM_LENGTH = 8;
+// The 40-bit generators of the checksum's BCH code, split into their
+// high 8 and low 32 bits so they can be used with bitwise operators.
+const CHECKSUM_GENERATORS = [
+  [0xf5, 0xdee51989],
+  [0xa9, 0xfdca3312],
+  [0x1b, 0xab10e32d],
+  [0x37, 0x06b1677a],
+  [0x64, 0x4d626ffd],
+];
+
+/**
+ * Parse a multisig output descriptor.
+ *
+ * Each key in the descriptor is returned with its key origin (`xfp`
+ * and `bip32Path`), if present, and either its `xpub` and the
+ * unhardened `childPath` derived from it (e.g. `0/*`) or its hex
+ * `publicKey`.  A trailing `#checksum` is optional but is verified
+ * if present.
+ * @param {string} descriptor - the output descriptor
+ * @example
+ * const {addressType, requiredSigners, sorted, keys} = parseMultisigDescriptor("wsh(sortedmulti(2,[f57ec65d/48'/0'/0'/2']xpub6.../0/*,...))");
+ * console.log(addressType); // P2WSH
+ * console.log(keys[0]); // {xfp: "f57ec65d", bip32Path: "m/48'/0'/0'/2'", xpub: "xpub6...", childPath: "0/*"}
+ * @returns {Object} the `addressType`, `requiredSigners`, whether the keys are `sorted`, and the `keys`
+ */
+export function parseMultisigDescriptor(descriptor) {
+  let expression = descriptor.trim();
+  if (expression.includes("#")) {
+    const checksumError = validateDescriptorChecksum(expression);
+    if (checksumError !== '') {
+      throw new Error(checksumError);
+    }
+    expression = expression.slice(0, expression.indexOf("#"));
+  }
+  const wrappers = [];
+  let match = expression.match(DESCRIPTOR_FUNCTION_REGEX);
+  while (match && (match[1] === "sh" || match[1] === "wsh")) {
+    wrappers.push(match[1]);
+    expression = match[2];
+    match = expression.match(DESCRIPTOR_FUNCTION_REGEX);
+  }
+  if (!match || !(match[1] === "multi" || match[1] === "sortedmulti")) {
+    throw new Error("Descriptor must contain a multi or sortedmulti expression.");
+  }
+  const addressType = Object.keys(DESCRIPTOR_WRAPPERS).find((type) => (DESCRIPTOR_WRAPPERS[type].join() === wrappers.join()));
+  if (!addressType) {
+    throw new Error("Descriptor must be of the form sh(...), sh(wsh(...)), or wsh(...).");
+  }
+  const [requiredSignersString, ...keyExpressions] = match[2].split(",");
+  const requiredSigners = parseInt(requiredSignersString, 10);
+  if (!requiredSignersString.match(/^\d+$/) || requiredSigners < 1 || requiredSigners > keyExpressions.length) {
+    throw new Error(`Invalid number of required signers: ${requiredSignersString}.`);
+  }
+  return {
+    addressType,
+    requiredSigners,
+    sorted: (match[1] === "sortedmulti"),
+    keys: keyExpressions.map(parseDescriptorKey),
+  };
+}
+
+function parseDescriptorKey(keyExpression) {
+  const match = keyExpression.match(DESCRIPTOR_KEY_REGEX);
+  if (!match) {
+    throw new Error(`Invalid key expression: ${keyExpression}.`);
+  }
+  const [, xfp, originPath, key, childPath] = match;
+  const parsedKey = {};
+  if (xfp) {
+    parsedKey.xfp = xfp.toLowerCase();
+    parsedKey.bip32Path = `m${originPath.replace(/h/g, "'")}`;
+  }
+  if (key.match(PUBLIC_KEY_REGEX)) {
+    if (childPath) {
+      throw new Error(`Cannot derive from public key: ${keyExpression}.`);
+    }
+    parsedKey.publicKey = key.toLowerCase();
+  } else {
+    parsedKey.xpub = key;
+    parsedKey.childPath = childPath.slice(1);
+  }
+  return parsedKey;
+}
+
+/**
+ * Create a multisig output descriptor with its checksum.
+ *
+ * Keys are given in the same form `parseMultisigDescriptor` returns
+ * them.  Extended public keys without a `bip32Path` are given the
+ * default `multisigBIP32Root` for the address type and network and
+ * extended public keys without a `childPath` are given `0/*`.
+ * @param {Object} config - the multisig wallet
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} config.addressType - address type of the wallet
+ * @param {number} config.requiredSigners - number of signers needed to spend funds
+ * @param {Object[]} config.keys - the keys of the wallet
+ * @param {boolean} [config.sorted=true] - sort the public keys (sortedmulti) or use them in order (multi)
+ * @param {module:networks.NETWORKS} [config.network] - bitcoin network, used for default BIP32 paths
+ * @example
+ * const descriptor = multisigDescriptor({
+ *   addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+ *   requiredSigners: 2,
+ *   keys: [{xfp: "f57ec65d", xpub: "xpub6..."}, ...],
+ *   network: NETWORKS.MAINNET,
+ * });
+ * console.log(descriptor); // wsh(sortedmulti(2,[f57ec65d/48'/0'/0'/2']xpub6.../0/*,...))#<checksum>
+ * @returns {string} the output descriptor
+ */
+export function multisigDescriptor(config) {
+  const wrappers = DESCRIPTOR_WRAPPERS[config.addressType];
+  if (!wrappers) {
+    throw new Error(`Invalid address type: ${config.addressType}.`);
+  }
+  const sorted = (config.sorted === undefined ? true : config.sorted);
+  const keyExpressions = config.keys.map((key) => descriptorKey(key, config.addressType, config.network));
+  const multi = `${sorted ? "sortedmulti" : "multi"}(${[config.requiredSigners, ...keyExpressions].join(",")})`;
+  return addDescriptorChecksum(wrappers.reduceRight((expression, wrapper) => `${wrapper}(${expression})`, multi));
+}
+
+function descriptorKey(key, addressType, network) {
+  const bip32Path = key.bip32Path || (key.xpub && network ? multisigBIP32Root(addressType, network) : null);
+  const origin = (key.xfp && bip32Path ? `[${key.xfp}${bip32Path.replace(/^m/, "")}]` : "");
+  if (key.publicKey) {
+    return `${origin}${key.publicKey}`;
+  }
+  const childPath = (key.childPath === undefined ? "0/*" : key.childPath);
+  return `${origin}${key.xpub}${childPath ? `/${childPath}` : ""}`;
+}
+
+/**
+ * Create the Multisig object at the given index of a multisig output
+ * descriptor.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {string} descriptor - the output descriptor
+ * @param {number} [index=0] - replaces the `*` in each key's child path
+ * @example
+ * const multisig = generateMultisigFromDescriptor(NETWORKS.MAINNET, "wsh(sortedmulti(2,...))", 5);
+ * console.log(multisigAddress(multisig)); // bc1q...
+ * @returns {Multisig} object for further parsing
+ */
+export function generateMultisigFromDescriptor(network, descriptor, index) {
+  const {addressType, requiredSigners, sorted, keys} = parseMultisigDescriptor(descriptor);
+  const publicKeys = keys.map((key) => {
+    if (key.publicKey) {
+      return key.publicKey;
+    }
+    if (!key.childPath) {
+      return bip32.fromBase58(key.xpub, networkData(network)).publicKey.toString('hex');
+    }
+    return deriveChildPublicKey(key.xpub, key.childPath.replace("*", (index || 0).toString()), network);
+  });
+  const generateMultisig = (sorted ? generateSortedMultisigFromPublicKeys : generateMultisigFromPublicKeys);
+  return generateMultisig(network, addressType, requiredSigners, ...publicKeys);
+}
+
+/**
+ * Provide validation messages for the checksum of an output descriptor.
+ * @param {string} descriptor - the output descriptor, ending with `#` and its checksum
+ * @example
+ * const validationError = validateDescriptorChecksum("raw(deadbeef)#89f8spxm"); // result empty, valid checksum
+ * const validationError = validateDescriptorChecksum("raw(deedbeef)#89f8spxm");
+ * console.log(validationError); // Descriptor checksum is invalid.
+ * @returns {string} empty if valid or corresponding validation message
+ */
+export function validateDescriptorChecksum(descriptor) {
+  if (descriptor === null || descriptor === undefined || descriptor === '') {
+    return "Descriptor cannot be blank.";
+  }
+  const separatorIndex = descriptor.indexOf("#");
+  if (separatorIndex === -1) {
+    return "Descriptor checksum is missing.";
+  }
+  const checksum = descriptor.slice(separatorIndex + 1);
+  if (checksum.length !== CHECKSUM_LENGTH) {
+    return `Descriptor checksum must be ${CHECKSUM_LENGTH} characters.`;
+  }
+  const expectedChecksum = descriptorChecksum(descriptor.slice(0, separatorIndex));
+  if (expectedChecksum === null) {
+    return "Descriptor contains invalid characters.";
+  }
+  if (checksum !== expectedChecksum) {
+    return "Descriptor checksum is invalid.";
+  }
+  return '';
+}
+
+/**
+ * Append the checksum to an output descriptor.
+ *
+ * An existing checksum is replaced.
+ * @param {string} descriptor - the output descriptor
+ * @example
+ * const descriptor = addDescriptorChecksum("raw(deadbeef)");
+ * console.log(descriptor); // raw(deadbeef)#89f8spxm
+ * @returns {string} the output descriptor ending with `#` and its checksum
+ */
+export function addDescriptorChecksum(descriptor) {
+  const separatorIndex = descriptor.indexOf("#");
+  const expression = (separatorIndex === -1 ? descriptor : descriptor.slice(0, separatorIndex));
+  const checksum = descriptorChecksum(expression);
+  if (checksum === null) {
+    throw new Error("Descriptor contains invalid characters.");
+  }
+  return `${expression}#${checksum}`;
+}
+
+function descriptorChecksum(expression) {
+  const symbols = [];
+  const groups = [];
+  for (let charIndex = 0; charIndex < expression.length; charIndex++) {
+    const value = CHECKSUM_INPUT_CHARSET.indexOf(expression[charIndex]);
+    if (value === -1) {
+      return null;
+    }
+    symbols.push(value & 31);
+    groups.push(value >> 5);
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+      groups.length = 0;
+    }
+  }
+  if (groups.length === 1) {
+    symbols.push(groups[0]);
+  } else if (groups.length === 2) {
+    symbols.push(groups[0] * 3 + groups[1]);
+  }
+  for (let i = 0; i < CHECKSUM_LENGTH; i++) {
+    symbols.push(0);
+  }
+  const [high, low] = checksumPolymod(symbols);
+  const checksum = high * Math.pow(2, 32) + ((low ^ 1) >>> 0);
+  let checksumString = "";
+  for (let i = 0; i < CHECKSUM_LENGTH; i++) {
+    checksumString += CHECKSUM_CHARSET[Math.floor(checksum / Math.pow(2, 5 * (7 - i))) % 32];
+  }
+  return checksumString;
+}
+
+function checksumPolymod(symbols) {
+  let high = 0;
+  let low = 1;
+  symbols.forEach((symbol) => {
+    const top = high >>> 3;
+    high = ((high & 0x07) << 5) | (low >>> 27);
+    low = ((low << 5) ^ symbol) >>> 0;
+    CHECKSUM_GENERATORS.forEach(([generatorHigh, generatorLow], generatorIndex) => {
+      if ((top >> generatorIndex) & 1) {
+        high ^= generatorHigh;
+        low = (low ^ generatorLow) >>> 0;
+      }
+    });
+  });
+  return [high, low];
+}
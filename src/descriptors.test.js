@@ -0,0 +1,184 @@
+import {
+    parseMultisigDescriptor,
+    multisigDescriptor,
+    generateMultisigFromDescriptor,
+    validateDescriptorChecksum,
+    addDescriptorChecksum,
+} from './descriptors';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    multisigAddress,
+    multisigRedeemScript,
+} from './multisig';
+import {NETWORKS} from './networks';
+import {
+    signingKeys,
+    redeemMulti,
+    p2shkey1,
+    p2shkey2,
+    p2shkey3,
+    descriptorChecksums,
+} from './test_constants';
+
+const keyExpressions = signingKeys.map((key) => `[${key.xfp}/48'/1'/0'/2']${key.tpub}/0/*`);
+const p2wshDescriptor = `wsh(sortedmulti(2,${keyExpressions.join(",")}))`;
+const p2shP2wshDescriptor = `sh(wsh(sortedmulti(2,${keyExpressions.join(",")})))`;
+const p2shDescriptor = `sh(multi(2,${p2shkey1},${p2shkey2},${p2shkey3}))`;
+
+describe("Test descriptors", () => {
+    describe("Test parseMultisigDescriptor", () => {
+        it("should parse a P2WSH sortedmulti descriptor", () => {
+            expect(parseMultisigDescriptor(p2wshDescriptor)).toEqual({
+                addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+                requiredSigners: 2,
+                sorted: true,
+                keys: signingKeys.map((key) => ({
+                    xfp: key.xfp,
+                    bip32Path: "m/48'/1'/0'/2'",
+                    xpub: key.tpub,
+                    childPath: "0/*",
+                })),
+            });
+        });
+
+        it("should parse a P2SH-P2WSH descriptor", () => {
+            const {addressType, requiredSigners, keys} = parseMultisigDescriptor(p2shP2wshDescriptor);
+            expect(addressType).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+            expect(requiredSigners).toBe(2);
+            expect(keys.length).toBe(3);
+        });
+
+        it("should parse a P2SH multi descriptor with public keys", () => {
+            expect(parseMultisigDescriptor(p2shDescriptor)).toEqual({
+                addressType: MULTISIG_ADDRESS_TYPES.P2SH,
+                requiredSigners: 2,
+                sorted: false,
+                keys: [{publicKey: p2shkey1}, {publicKey: p2shkey2}, {publicKey: p2shkey3}],
+            });
+        });
+
+        it("should parse hardened paths written with h", () => {
+            const descriptor = `wsh(multi(1,[${signingKeys[0].xfp.toUpperCase()}/48h/1h/0h/2h]${signingKeys[0].tpub}/1/*))`;
+            expect(parseMultisigDescriptor(descriptor).keys).toEqual([{
+                xfp: signingKeys[0].xfp,
+                bip32Path: "m/48'/1'/0'/2'",
+                xpub: signingKeys[0].tpub,
+                childPath: "1/*",
+            }]);
+        });
+
+        it("should verify checksums", () => {
+            expect(parseMultisigDescriptor(addDescriptorChecksum(p2wshDescriptor))).toEqual(parseMultisigDescriptor(p2wshDescriptor));
+            expect(() => parseMultisigDescriptor(`${p2wshDescriptor}#abcdefgh`)).toThrow("Descriptor checksum is invalid.");
+        });
+
+        it("should throw on invalid descriptors", () => {
+            expect(() => parseMultisigDescriptor(`wpkh(${p2shkey1})`)).toThrow("Descriptor must contain a multi or sortedmulti expression.");
+            expect(() => parseMultisigDescriptor(`wsh(sh(multi(1,${p2shkey1})))`)).toThrow("Descriptor must be of the form sh(...), sh(wsh(...)), or wsh(...).");
+            expect(() => parseMultisigDescriptor(`sh(multi(3,${p2shkey1},${p2shkey2}))`)).toThrow("Invalid number of required signers: 3.");
+            expect(() => parseMultisigDescriptor(`wsh(multi(1,${signingKeys[0].tpub}/0'/*))`)).toThrow("Invalid key expression");
+            expect(() => parseMultisigDescriptor(`sh(multi(1,${p2shkey1}/0))`)).toThrow("Cannot derive from public key");
+        });
+    });
+
+    describe("Test multisigDescriptor", () => {
+        it("should export a descriptor which parses back to the same wallet", () => {
+            [p2wshDescriptor, p2shP2wshDescriptor, p2shDescriptor].forEach((descriptor) => {
+                expect(multisigDescriptor(parseMultisigDescriptor(descriptor))).toBe(addDescriptorChecksum(descriptor));
+            });
+        });
+
+        it("should include a valid checksum", () => {
+            const descriptor = multisigDescriptor(parseMultisigDescriptor(p2wshDescriptor));
+            expect(validateDescriptorChecksum(descriptor)).toBe('');
+        });
+
+        it("should default to multisigBIP32Root paths and 0/* child paths", () => {
+            const descriptor = multisigDescriptor({
+                addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+                requiredSigners: 2,
+                keys: signingKeys.map((key) => ({xfp: key.xfp, xpub: key.tpub})),
+                network: NETWORKS.TESTNET,
+            });
+            expect(descriptor).toBe(addDescriptorChecksum(p2wshDescriptor));
+        });
+
+        it("should export unsorted multi descriptors", () => {
+            const descriptor = multisigDescriptor({
+                addressType: MULTISIG_ADDRESS_TYPES.P2SH,
+                requiredSigners: 2,
+                sorted: false,
+                keys: [{publicKey: p2shkey1}, {publicKey: p2shkey2}, {publicKey: p2shkey3}],
+            });
+            expect(descriptor).toBe(addDescriptorChecksum(p2shDescriptor));
+        });
+
+        it("should throw on an invalid address type", () => {
+            expect(() => multisigDescriptor({addressType: "P2PKH", requiredSigners: 1, keys: []})).toThrow("Invalid address type: P2PKH.");
+        });
+    });
+
+    describe("Test generateMultisigFromDescriptor", () => {
+        it("should derive sorted multisigs", () => {
+            const publicKeys = signingKeys.map((key) => key.pub).sort();
+            [
+                [p2wshDescriptor, MULTISIG_ADDRESS_TYPES.P2WSH],
+                [p2shP2wshDescriptor, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH],
+            ].forEach(([descriptor, addressType]) => {
+                const multisig = generateMultisigFromDescriptor(NETWORKS.TESTNET, descriptor, 0);
+                const expected = generateMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 2, ...publicKeys);
+                expect(multisigAddress(multisig)).toBe(multisigAddress(expected));
+            });
+        });
+
+        it("should derive a different multisig at each index", () => {
+            const first = generateMultisigFromDescriptor(NETWORKS.TESTNET, p2wshDescriptor);
+            const second = generateMultisigFromDescriptor(NETWORKS.TESTNET, p2wshDescriptor, 1);
+            expect(multisigAddress(first)).toBe(multisigAddress(generateMultisigFromDescriptor(NETWORKS.TESTNET, p2wshDescriptor, 0)));
+            expect(multisigAddress(second)).not.toBe(multisigAddress(first));
+            expect(multisigAddress(second)).toMatch(/^tb1q/);
+        });
+
+        it("should keep the order of unsorted public keys", () => {
+            const multisig = generateMultisigFromDescriptor(NETWORKS.TESTNET, p2shDescriptor);
+            expect(multisigRedeemScript(multisig).output.toString('hex')).toBe(redeemMulti);
+        });
+    });
+});
+
+describe("Test descriptor checksums", () => {
+    describe("Test validateDescriptorChecksum", () => {
+        it("should accept valid checksums", () => {
+            descriptorChecksums.valid.forEach((descriptor) => {
+                expect(validateDescriptorChecksum(descriptor)).toBe('');
+            });
+        });
+
+        it("should properly report invalid checksums", () => {
+            descriptorChecksums.invalid.forEach(([descriptor, message]) => {
+                expect(validateDescriptorChecksum(descriptor)).toBe(message);
+            });
+        });
+
+        it("should properly report a blank descriptor", () => {
+            expect(validateDescriptorChecksum("")).toBe("Descriptor cannot be blank.");
+        });
+    });
+
+    describe("Test addDescriptorChecksum", () => {
+        it("should append the checksum", () => {
+            descriptorChecksums.valid.forEach((descriptor) => {
+                expect(addDescriptorChecksum(descriptor.split("#")[0])).toBe(descriptor);
+            });
+        });
+
+        it("should replace an existing checksum", () => {
+            expect(addDescriptorChecksum("raw(deadbeef)#00000000")).toBe("raw(deadbeef)#89f8spxm");
+        });
+
+        it("should throw on invalid characters", () => {
+            expect(() => addDescriptorChecksum("raw(Ü)")).toThrow("Descriptor contains invalid characters.");
+        });
+    });
+});
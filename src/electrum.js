@@ -0,0 +1,134 @@
+/**
+ * This module provides functions for importing multisig wallet files
+ * created by [Electrum]{@link https://electrum.org}.
+ * @module electrum
+ */
+
+import {MULTISIG_ADDRESS_TYPES, multisigBIP32Root} from "./multisig";
+import {NETWORKS} from "./networks";
+import {
+  validateExtendedPublicKey,
+  extendedPublicKeyPrefix,
+  extendedPublicKeyMultisigAddressType,
+  convertExtendedPublicKey,
+} from "./keys";
+import {validateBIP32Path} from "./bip32";
+
+// Extended public key prefixes Electrum uses for multisig wallets on
+// each network.  Standard `xpub`s (and `tpub`s) are used for P2SH.
+const ELECTRUM_EXTENDED_PUBLIC_KEY_PREFIXES = {
+  [NETWORKS.MAINNET]: ["xpub", "Ypub", "Zpub"],
+  [NETWORKS.TESTNET]: ["tpub", "Upub", "Vpub"],
+};
+
+const STANDARD_EXTENDED_PUBLIC_KEY_PREFIXES = {
+  [NETWORKS.MAINNET]: "xpub",
+  [NETWORKS.TESTNET]: "tpub",
+};
+
+const ELECTRUM_WALLET_TYPE_REGEX = /^(\d+)of(\d+)$/;
+const XFP_REGEX = /^[0-9a-fA-F]{8}$/;
+
+/**
+ * Parse an Electrum multisig wallet file.
+ *
+ * The address type is determined by the
+ * [SLIP-132]{@link https://github.com/satoshilabs/slips/blob/master/slip-0132.md}
+ * prefix of the keystores' extended public keys (e.g. `Zpub` for
+ * P2WSH), which are converted to `xpub`s (or `tpub`s on testnet).
+ * Keystores without a derivation use the default `multisigBIP32Root`.
+ *
+ * Electrum sorts public keys as described in BIP67 and derives
+ * receive addresses at `0/i` and change addresses at `1/i`, so the
+ * returned wallet's addresses can be derived with
+ * `generateMultisigFromWalletConfig`.
+ * @param {string} json - contents of the (unencrypted) wallet file
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const config = parseElectrumMultisigWallet(fs.readFileSync("wallet", "utf8"), NETWORKS.MAINNET);
+ * console.log(config.addressType); // P2WSH
+ * console.log(config.quorum); // {requiredSigners: 2, totalSigners: 3}
+ * const receive = generateMultisigFromWalletConfig(config, "0/0");
+ * const change = generateMultisigFromWalletConfig(config, "1/0");
+ * @returns {Object} the wallet's `name`, `addressType`, `network`, `quorum`, and `extendedPublicKeys`
+ */
+export function parseElectrumMultisigWallet(json, network) {
+  let wallet;
+  try {
+    wallet = JSON.parse(json);
+  } catch (e) {
+    throw new Error("Invalid Electrum wallet file.  Encrypted wallet files must be decrypted first.");
+  }
+  if (!wallet || typeof wallet !== "object" || Array.isArray(wallet)) {
+    throw new Error("Invalid Electrum wallet file.  It must contain a JSON object.");
+  }
+  const walletTypeMatch = (typeof wallet.wallet_type === "string" ? wallet.wallet_type.match(ELECTRUM_WALLET_TYPE_REGEX) : null);
+  if (!walletTypeMatch) {
+    throw new Error(`Electrum wallet is not a multisig wallet: ${wallet.wallet_type}.`);
+  }
+  const requiredSigners = parseInt(walletTypeMatch[1], 10);
+  const totalSigners = parseInt(walletTypeMatch[2], 10);
+  if (requiredSigners < 1 || requiredSigners > totalSigners) {
+    throw new Error(`Invalid Electrum wallet type: ${wallet.wallet_type}.`);
+  }
+
+  let addressType = null;
+  const extendedPublicKeys = [];
+  for (let keystoreIndex = 1; keystoreIndex <= totalSigners; keystoreIndex++) {
+    const keystore = wallet[`x${keystoreIndex}/`];
+    if (!keystore || !keystore.xpub) {
+      throw new Error(`Electrum wallet is missing keystore x${keystoreIndex}/.`);
+    }
+    if (!ELECTRUM_EXTENDED_PUBLIC_KEY_PREFIXES[extendedPublicKeyNetwork(network)].includes(extendedPublicKeyPrefix(keystore.xpub))) {
+      throw new Error(`Invalid extended public key for keystore x${keystoreIndex}/.`);
+    }
+    const keystoreAddressType = extendedPublicKeyMultisigAddressType(keystore.xpub) || MULTISIG_ADDRESS_TYPES.P2SH;
+    if (addressType && addressType !== keystoreAddressType) {
+      throw new Error("Electrum wallet keystores have different address types.");
+    }
+    addressType = keystoreAddressType;
+    extendedPublicKeys.push(electrumExtendedPublicKey(keystore, keystoreIndex, network));
+  }
+
+  return {
+    name: null,
+    addressType,
+    network,
+    quorum: {requiredSigners, totalSigners},
+    extendedPublicKeys: extendedPublicKeys.map((key) => ({
+      ...key,
+      bip32Path: key.bip32Path || multisigBIP32Root(addressType, network),
+    })),
+  };
+}
+
+// Regtest and signet use testnet's extended public key versions.
+function extendedPublicKeyNetwork(network) {
+  return (network === NETWORKS.MAINNET ? NETWORKS.MAINNET : NETWORKS.TESTNET);
+}
+
+function electrumExtendedPublicKey(keystore, keystoreIndex, network) {
+  const xpub = convertExtendedPublicKey(keystore.xpub, STANDARD_EXTENDED_PUBLIC_KEY_PREFIXES[extendedPublicKeyNetwork(network)]);
+  const xpubError = validateExtendedPublicKey(xpub, network);
+  if (xpubError !== '') {
+    throw new Error(`Invalid extended public key for keystore x${keystoreIndex}/: ${xpubError}`);
+  }
+  const key = {xpub};
+  if (keystore.label) {
+    key.name = keystore.label;
+  }
+  if (keystore.root_fingerprint) {
+    if (!keystore.root_fingerprint.match(XFP_REGEX)) {
+      throw new Error(`Invalid root fingerprint for keystore x${keystoreIndex}/: ${keystore.root_fingerprint}.`);
+    }
+    key.xfp = keystore.root_fingerprint.toLowerCase();
+  }
+  if (keystore.derivation) {
+    const pathError = validateBIP32Path(keystore.derivation);
+    if (pathError !== '') {
+      throw new Error(`Invalid derivation for keystore x${keystoreIndex}/: ${pathError}`);
+    }
+    key.bip32Path = keystore.derivation;
+  }
+  return key;
+}
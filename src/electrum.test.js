@@ -0,0 +1,107 @@
+import {parseElectrumMultisigWallet} from './electrum';
+import {generateMultisigFromWalletConfig} from './caravan';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    multisigAddress,
+} from './multisig';
+import {deriveChildPublicKey} from './bip32';
+import {NETWORKS} from './networks';
+import {signingKeys, signingKeysVpubs, signingKeysUpubs, validXpub} from './test_constants';
+
+function electrumWallet(xpubs, options) {
+    const wallet = {
+        addr_history: {},
+        seed_version: 18,
+        use_encryption: false,
+        wallet_type: `2of${xpubs.length}`,
+        ...options,
+    };
+    xpubs.forEach((xpub, index) => {
+        wallet[`x${index + 1}/`] = {
+            type: "hardware",
+            hw_type: "coldcard",
+            label: `Cosigner ${index + 1}`,
+            derivation: "m/48'/1'/0'/2'",
+            root_fingerprint: signingKeys[index % signingKeys.length].xfp,
+            xpub,
+        };
+    });
+    return wallet;
+}
+
+describe("Test Electrum multisig wallets", () => {
+    describe("Test parseElectrumMultisigWallet", () => {
+        it("should parse a P2WSH wallet with Vpubs", () => {
+            const config = parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs)), NETWORKS.TESTNET);
+            expect(config).toEqual({
+                name: null,
+                addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+                network: NETWORKS.TESTNET,
+                quorum: {requiredSigners: 2, totalSigners: 3},
+                extendedPublicKeys: signingKeys.map((key, index) => ({
+                    name: `Cosigner ${index + 1}`,
+                    xfp: key.xfp,
+                    bip32Path: "m/48'/1'/0'/2'",
+                    xpub: key.tpub,
+                })),
+            });
+        });
+
+        it("should parse a P2SH-P2WSH wallet with Upubs", () => {
+            const config = parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysUpubs)), NETWORKS.TESTNET);
+            expect(config.addressType).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+            expect(config.extendedPublicKeys.map((key) => key.xpub)).toEqual(signingKeys.map((key) => key.tpub));
+        });
+
+        it("should parse a wallet with Vpubs on regtest", () => {
+            const config = parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs)), NETWORKS.REGTEST);
+            expect(config.network).toBe(NETWORKS.REGTEST);
+            expect(config.addressType).toBe(MULTISIG_ADDRESS_TYPES.P2WSH);
+            expect(config.extendedPublicKeys.map((key) => key.xpub)).toEqual(signingKeys.map((key) => key.tpub));
+        });
+
+        it("should parse a P2SH wallet and default its derivations", () => {
+            const wallet = electrumWallet(signingKeys.map((key) => key.tpub));
+            signingKeys.forEach((key, index) => {
+                delete wallet[`x${index + 1}/`].derivation;
+                delete wallet[`x${index + 1}/`].root_fingerprint;
+                delete wallet[`x${index + 1}/`].label;
+            });
+            const config = parseElectrumMultisigWallet(JSON.stringify(wallet), NETWORKS.TESTNET);
+            expect(config.addressType).toBe(MULTISIG_ADDRESS_TYPES.P2SH);
+            expect(config.extendedPublicKeys[0]).toEqual({xpub: signingKeys[0].tpub, bip32Path: "m/45'/1'/0'"});
+        });
+
+        it("should derive the same receive and change addresses as Electrum", () => {
+            const config = parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs)), NETWORKS.TESTNET);
+            ["0/0", "1/3"].forEach((path) => {
+                const publicKeys = signingKeys.map((key) => deriveChildPublicKey(key.tpub, path, NETWORKS.TESTNET)).sort();
+                const expected = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...publicKeys);
+                expect(multisigAddress(generateMultisigFromWalletConfig(config, path))).toBe(multisigAddress(expected));
+            });
+        });
+
+        it("should throw on invalid wallets", () => {
+            expect(() => parseElectrumMultisigWallet("BIE1...", NETWORKS.TESTNET)).toThrow("Invalid Electrum wallet file.  Encrypted wallet files must be decrypted first.");
+            ["null", "[]", "2", "\"wallet\""].forEach((json) => {
+                expect(() => parseElectrumMultisigWallet(json, NETWORKS.TESTNET)).toThrow("Invalid Electrum wallet file.  It must contain a JSON object.");
+            });
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs, {wallet_type: "standard"})), NETWORKS.TESTNET)).toThrow("Electrum wallet is not a multisig wallet: standard.");
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs, {wallet_type: "4of3"})), NETWORKS.TESTNET)).toThrow("Invalid Electrum wallet type: 4of3.");
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs.slice(0, 2), {wallet_type: "2of3"})), NETWORKS.TESTNET)).toThrow("Electrum wallet is missing keystore x3/.");
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet(signingKeysVpubs)), NETWORKS.MAINNET)).toThrow("Invalid extended public key for keystore x1/.");
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet([signingKeysVpubs[0], signingKeysUpubs[1], signingKeysVpubs[2]])), NETWORKS.TESTNET)).toThrow("Electrum wallet keystores have different address types.");
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(electrumWallet([validXpub, validXpub])), NETWORKS.TESTNET)).toThrow("Invalid extended public key for keystore x1/.");
+        });
+
+        it("should validate fingerprints and derivations", () => {
+            const wallet = electrumWallet(signingKeysVpubs);
+            wallet["x2/"].root_fingerprint = "xyz";
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(wallet), NETWORKS.TESTNET)).toThrow("Invalid root fingerprint for keystore x2/: xyz.");
+            wallet["x2/"].root_fingerprint = signingKeys[1].xfp;
+            wallet["x2/"].derivation = "m/48'/x";
+            expect(() => parseElectrumMultisigWallet(JSON.stringify(wallet), NETWORKS.TESTNET)).toThrow("Invalid derivation for keystore x2/: BIP32 path is invalid.");
+        });
+    });
+});
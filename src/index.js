@@ -7,3 +7,13 @@ export * from "./addresses";
 export * from "./transactions";
 export * from "./multisig";
 export * from "./block_explorer";
+export * from "./psbt";
+export * from "./descriptors";
+export * from "./coldcard";
+export * from "./caravan";
+export * from "./electrum";
+export * from "./bsms";
+export * from "./policies";
+export * from "./wallets";
+export * from "./bitcoind";
+export * from "./origins";
@@ -3,31 +3,85 @@
  * @module keys
  */
 
-import {validateHex} from "./utils";
+import {validateHex, toHexString} from "./utils";
 import {NETWORKS, networkData} from "./networks";
+import {MULTISIG_ADDRESS_TYPES} from "./multisig";
+import {HARDENING_OFFSET, validateBIP32Path, bip32PathToSequence} from "./bip32";
 import {ECPair} from "bitcoinjs-lib"
 
 const bip32 = require('bip32');
+const bs58check = require('bs58check');
+
+/**
+ * Version bytes (as hex) of the extended public key prefixes of
+ * [SLIP-132]{@link https://github.com/satoshilabs/slips/blob/master/slip-0132.md}.
+ *
+ * `xpub` and `tpub` are the standard BIP32 prefixes.  The others imply
+ * an address type: `ypub`/`upub` P2SH-P2WPKH, `Ypub`/`Upub`
+ * P2SH-P2WSH multisig, `zpub`/`vpub` P2WPKH, and `Zpub`/`Vpub` P2WSH
+ * multisig.
+ * @type {Object}
+ */
+export const EXTENDED_PUBLIC_KEY_VERSIONS = {
+  xpub: "0488b21e",
+  ypub: "049d7cb2",
+  Ypub: "0295b43f",
+  zpub: "04b24746",
+  Zpub: "02aa7ed3",
+  tpub: "043587cf",
+  upub: "044a5262",
+  Upub: "024289ef",
+  vpub: "045f1cf6",
+  Vpub: "02575483",
+};
+
+const MAINNET_EXTENDED_PUBLIC_KEY_PREFIXES = ["xpub", "ypub", "Ypub", "zpub", "Zpub"];
+const TESTNET_EXTENDED_PUBLIC_KEY_PREFIXES = ["tpub", "upub", "Upub", "vpub", "Vpub"];
+
+const SLIP132_MULTISIG_ADDRESS_TYPES = {
+  Ypub: MULTISIG_ADDRESS_TYPES.P2SH_P2WSH,
+  Upub: MULTISIG_ADDRESS_TYPES.P2SH_P2WSH,
+  Zpub: MULTISIG_ADDRESS_TYPES.P2WSH,
+  Vpub: MULTISIG_ADDRESS_TYPES.P2WSH,
+};
 
 /**
  * Provide validation messages for an extended public key.
+ *
+ * By default only the standard `xpub` (and, off mainnet, `tpub`)
+ * prefixes are accepted.  With the `allowSLIP132` option, the SLIP-132
+ * prefixes of the network (e.g. `Zpub`, or `Vpub` off mainnet) are
+ * accepted too.  With the `addressType` option, keys whose prefix
+ * implies a different multisig address type are reported.
  * @param {string} inputString - base58 encoded extended public key
  * @param {module:networks.NETWORKS} network  - bitcoin network
+ * @param {Object} [options] - validation options
+ * @param {boolean} [options.allowSLIP132=false] - whether to accept SLIP-132 prefixes
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} [options.addressType] - the wallet's address type to check the key's prefix against
  * @example
  * const key = "apub6CCHViYn5VzKSmKD9cK9LBDPz9wBLV7owXJcNDioETNvhqhVtj3ABnVUERN9aV1RGTX9YpyPHnC4Ekzjnr7TZthsJRBiXA4QCeXNHEwxLab";
  * const validationError = validateExtendedPublicKey(key, NETWORKS.TESTNET);
  * console.log(validationError); // Extended public key must begin with 'xpub' or 'tpub'."
+ * const mismatchError = validateExtendedPublicKey(zpub, NETWORKS.MAINNET, {allowSLIP132: true, addressType: P2SH_P2WSH});
+ * console.log(mismatchError); // Extended public key prefix 'Zpub' implies P2WSH, not P2SH-P2WSH.
  * @returns {string} empty if valid or corresponding validation message
  */
-export function validateExtendedPublicKey(inputString, network) {
+export function validateExtendedPublicKey(inputString, network, options) {
   if (inputString === null || inputString === undefined || inputString === '') {
     return "Extended public key cannot be blank.";
   }
 
-  let requiredPrefix = "'xpub'";
-  if (network === NETWORKS.TESTNET) {
-    requiredPrefix += " or 'tpub'";
+  const allowSLIP132 = Boolean(options && options.allowSLIP132);
+  const allowTpub = (network === NETWORKS.TESTNET || network === NETWORKS.REGTEST || network === NETWORKS.SIGNET);
+  let allowedPrefixes = ['xpub'];
+  if (allowTpub) {
+    allowedPrefixes.push('tpub');
+  }
+  if (allowSLIP132) {
+    allowedPrefixes = allowedPrefixes.concat((allowTpub ? TESTNET_EXTENDED_PUBLIC_KEY_PREFIXES : MAINNET_EXTENDED_PUBLIC_KEY_PREFIXES).filter((prefix) => !allowedPrefixes.includes(prefix)));
   }
+  const quotedPrefixes = allowedPrefixes.map((prefix) => `'${prefix}'`);
+  const requiredPrefix = (quotedPrefixes.length === 1 ? quotedPrefixes[0] : `${quotedPrefixes.slice(0, -1).join(", ")} or ${quotedPrefixes[quotedPrefixes.length - 1]}`);
   const notXpubError = `Extended public key must begin with ${requiredPrefix}.`;
 
   if (inputString.length < 111) {
@@ -35,20 +89,172 @@ export function validateExtendedPublicKey(inputString, network) {
   }
 
   const prefix = inputString.slice(0, 4);
-  if (! (prefix === 'xpub' || (network === NETWORKS.TESTNET && prefix === 'tpub'))) {
+  if (! allowedPrefixes.includes(prefix)) {
     return notXpubError;
   }
 
   try {
-    bip32.fromBase58(inputString, networkData(network));
+    const standardPrefix = (TESTNET_EXTENDED_PUBLIC_KEY_PREFIXES.includes(prefix) ? 'tpub' : 'xpub');
+    const standardKey = (prefix === standardPrefix ? inputString : convertExtendedPublicKey(inputString, standardPrefix));
+    bip32.fromBase58(standardKey, networkData(network));
   } catch (e) {
     return `Invalid extended public key: ${e}`;
   }
 
+  const impliedAddressType = SLIP132_MULTISIG_ADDRESS_TYPES[prefix];
+  if (options && options.addressType && impliedAddressType && impliedAddressType !== options.addressType) {
+    return `Extended public key prefix '${prefix}' implies ${impliedAddressType}, not ${options.addressType}.`;
+  }
+
   return '';
 
 }
 
+/**
+ * Return the SLIP-132 prefix of an extended public key, determined by
+ * its version bytes.
+ * @param {string} extendedPublicKey - base58 encoded extended public key
+ * @example
+ * const prefix = extendedPublicKeyPrefix("Zpub74...");
+ * console.log(prefix); // Zpub
+ * @returns {string|null} the prefix (a key of `EXTENDED_PUBLIC_KEY_VERSIONS`) or `null` if the key is invalid or its version unknown
+ */
+export function extendedPublicKeyPrefix(extendedPublicKey) {
+  let version;
+  try {
+    version = bs58check.decode(extendedPublicKey).slice(0, 4).toString('hex');
+  } catch (e) {
+    return null;
+  }
+  return Object.keys(EXTENDED_PUBLIC_KEY_VERSIONS).find((prefix) => EXTENDED_PUBLIC_KEY_VERSIONS[prefix] === version) || null;
+}
+
+/**
+ * Return the multisig address type implied by the SLIP-132 prefix of
+ * an extended public key.
+ *
+ * Only the `Ypub`/`Upub` (P2SH-P2WSH) and `Zpub`/`Vpub` (P2WSH)
+ * prefixes imply a multisig address type; standard `xpub` and `tpub`
+ * keys are used with any address type.
+ * @param {string} extendedPublicKey - base58 encoded extended public key
+ * @example
+ * const addressType = extendedPublicKeyMultisigAddressType("Ypub6...");
+ * console.log(addressType); // P2SH-P2WSH
+ * @returns {module:multisig.MULTISIG_ADDRESS_TYPES|null} the implied address type, or `null` if there is none
+ */
+export function extendedPublicKeyMultisigAddressType(extendedPublicKey) {
+  return SLIP132_MULTISIG_ADDRESS_TYPES[extendedPublicKeyPrefix(extendedPublicKey)] || null;
+}
+
+/**
+ * Convert an extended public key to another SLIP-132 prefix.
+ *
+ * Only the version bytes change: the converted key has the same
+ * depth, fingerprint, child number, chain code, and public key.
+ * @param {string} extendedPublicKey - base58 encoded extended public key with any SLIP-132 prefix
+ * @param {string} prefix - the prefix to convert to, e.g. `xpub` or `Zpub`
+ * @example
+ * const xpub = convertExtendedPublicKey("Zpub74...", "xpub");
+ * console.log(xpub); // xpub6...
+ * @returns {string} the converted extended public key
+ */
+export function convertExtendedPublicKey(extendedPublicKey, prefix) {
+  const version = EXTENDED_PUBLIC_KEY_VERSIONS[prefix];
+  if (!version) {
+    throw new Error(`Unknown extended public key prefix: ${prefix}.`);
+  }
+  if (!extendedPublicKeyPrefix(extendedPublicKey)) {
+    throw new Error("Invalid extended public key.");
+  }
+  return bs58check.encode(Buffer.concat([
+    Buffer.from(version, 'hex'),
+    bs58check.decode(extendedPublicKey).slice(4),
+  ]));
+}
+
+/**
+ * Parse an extended public key with any SLIP-132 prefix into its
+ * fields.
+ *
+ * The `childNumber` is given without the hardening offset, e.g. `2`
+ * and `hardened` true for a key derived at `.../2'`.  The key's own
+ * `fingerprint` is the one its children have as their
+ * `parentFingerprint`.
+ * @param {string} extendedPublicKey - base58 encoded extended public key
+ * @example
+ * const key = parseExtendedPublicKey("xpub6CCHViYn5VzKFqrKjAzSSqP8XXSU5fEC6ZYSncX5pvSKoRLrPDcF8cEaZkrQvvnuwRUXeKVjoGmAqvbwVkNBFLaRiqcdVhWPyuShUrbcZsv");
+ * console.log(key.depth); // 3
+ * console.log(key.network); // mainnet
+ * @returns {Object} the key's `prefix`, hex `version`, `network`, `depth`, hex `parentFingerprint`, `childNumber`, `hardened` flag, hex `chainCode`, hex `publicKey`, and hex `fingerprint`
+ */
+export function parseExtendedPublicKey(extendedPublicKey) {
+  const prefix = extendedPublicKeyPrefix(extendedPublicKey);
+  if (!prefix) {
+    throw new Error("Invalid extended public key.");
+  }
+  const network = (TESTNET_EXTENDED_PUBLIC_KEY_PREFIXES.includes(prefix) ? NETWORKS.TESTNET : NETWORKS.MAINNET);
+  let node;
+  try {
+    node = bip32.fromBase58(convertExtendedPublicKey(extendedPublicKey, (network === NETWORKS.TESTNET ? 'tpub' : 'xpub')), networkData(network));
+  } catch (e) {
+    throw new Error(`Invalid extended public key: ${e.message}`);
+  }
+  const parentFingerprint = Buffer.alloc(4);
+  parentFingerprint.writeUInt32BE(node.parentFingerprint, 0);
+  const hardened = node.index >= HARDENING_OFFSET;
+  return {
+    prefix,
+    version: EXTENDED_PUBLIC_KEY_VERSIONS[prefix],
+    network,
+    depth: node.depth,
+    parentFingerprint: toHexString(parentFingerprint),
+    childNumber: (hardened ? node.index - HARDENING_OFFSET : node.index),
+    hardened,
+    chainCode: toHexString(node.chainCode),
+    publicKey: toHexString(node.publicKey),
+    fingerprint: toHexString(node.fingerprint),
+  };
+}
+
+/**
+ * Provide validation messages for an extended public key which should
+ * have been derived at the given BIP32 path, e.g. the
+ * `multisigBIP32Root` of a wallet.
+ *
+ * Only the key's depth and child number can be checked against the
+ * path: a key at the right depth and child number may still have been
+ * derived from a different parent.
+ * @param {string} extendedPublicKey - base58 encoded extended public key
+ * @param {string} bip32Path - BIP32 derivation path the key should have been derived at
+ * @example
+ * const validationError = validateExtendedPublicKeyPath(xpub, multisigBIP32Root(P2WSH, NETWORKS.MAINNET));
+ * console.log(validationError); // Extended public key depth 3 does not match the depth 4 of m/48'/0'/0'/2'.
+ * @returns {string} empty if valid or corresponding validation message
+ */
+export function validateExtendedPublicKeyPath(extendedPublicKey, bip32Path) {
+  const pathError = validateBIP32Path(bip32Path);
+  if (pathError !== '') {
+    return pathError;
+  }
+  let key;
+  try {
+    key = parseExtendedPublicKey(extendedPublicKey);
+  } catch (e) {
+    return e.message;
+  }
+  const sequence = bip32PathToSequence(bip32Path.slice(0, 2) === 'm/' ? bip32Path : `m/${bip32Path}`);
+  if (key.depth !== sequence.length) {
+    return `Extended public key depth ${key.depth} does not match the depth ${sequence.length} of ${bip32Path}.`;
+  }
+  const lastIndex = sequence[sequence.length - 1];
+  const childNumber = `${key.childNumber}${key.hardened ? "'" : ""}`;
+  const pathIndex = (lastIndex >= HARDENING_OFFSET ? `${lastIndex - HARDENING_OFFSET}'` : `${lastIndex}`);
+  if (childNumber !== pathIndex) {
+    return `Extended public key child number ${childNumber} does not match the last index ${pathIndex} of ${bip32Path}.`;
+  }
+  return '';
+}
+
 /**
  * Provide validation messages for a public key.
  * @param {string} inputString - hex public key string
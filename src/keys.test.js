@@ -1,7 +1,12 @@
-import { validateExtendedPublicKey, validatePublicKey, compressPublicKey } from './keys'
+import {
+    validateExtendedPublicKey, validatePublicKey, compressPublicKey,
+    EXTENDED_PUBLIC_KEY_VERSIONS, extendedPublicKeyPrefix, extendedPublicKeyMultisigAddressType, convertExtendedPublicKey,
+    parseExtendedPublicKey, validateExtendedPublicKeyPath,
+} from './keys'
 import { NETWORKS } from './networks';
+import { MULTISIG_ADDRESS_TYPES, multisigBIP32Root } from './multisig';
 
-import { emptyValues, keysCompressedUncompressed, validXpub, validTpub } from './test_constants';
+import { emptyValues, keysCompressedUncompressed, validXpub, validTpub, signingKeys, signingKeysVpubs, signingKeysUpubs } from './test_constants';
 
 describe('Test key validation library', () => {
     describe("Test validateExtendedPublicKey", () => {
@@ -58,6 +63,46 @@ describe('Test key validation library', () => {
                 const result = validateExtendedPublicKey(validTpub, NETWORKS.TESTNET);
                 expect(result).toBe("");
             });
+
+            it('should not provide a validation message for a valid tpub key on regtest or signet', () => {
+                expect(validateExtendedPublicKey(validTpub, NETWORKS.REGTEST)).toBe("");
+                expect(validateExtendedPublicKey(validTpub, NETWORKS.SIGNET)).toBe("");
+            });
+        });
+
+        describe("Test SLIP-132 keys", () => {
+            const validZpub = convertExtendedPublicKey(validXpub, "Zpub");
+
+            it('should reject SLIP-132 keys by default', () => {
+                expect(validateExtendedPublicKey(validZpub, NETWORKS.MAINNET)).toBe("Extended public key must begin with 'xpub'.");
+                expect(validateExtendedPublicKey(signingKeysVpubs[0], NETWORKS.TESTNET)).toBe("Extended public key must begin with 'xpub' or 'tpub'.");
+            });
+
+            it('should accept SLIP-132 keys of the network when allowed', () => {
+                const options = {allowSLIP132: true};
+                expect(validateExtendedPublicKey(validZpub, NETWORKS.MAINNET, options)).toBe("");
+                expect(validateExtendedPublicKey(signingKeysVpubs[0], NETWORKS.TESTNET, options)).toBe("");
+                expect(validateExtendedPublicKey(signingKeysUpubs[0], NETWORKS.REGTEST, options)).toBe("");
+                expect(validateExtendedPublicKey(validXpub, NETWORKS.MAINNET, options)).toBe("");
+            });
+
+            it('should report SLIP-132 keys of the wrong network', () => {
+                const options = {allowSLIP132: true};
+                expect(validateExtendedPublicKey(signingKeysVpubs[0], NETWORKS.MAINNET, options)).toBe("Extended public key must begin with 'xpub', 'ypub', 'Ypub', 'zpub' or 'Zpub'.");
+                expect(validateExtendedPublicKey(validZpub, NETWORKS.TESTNET, options)).toBe("Extended public key must begin with 'xpub', 'tpub', 'upub', 'Upub', 'vpub' or 'Vpub'.");
+            });
+
+            it('should report invalid SLIP-132 keys', () => {
+                const corrupted = `${validZpub.slice(0, 20)}${validZpub[20] === 'a' ? 'b' : 'a'}${validZpub.slice(21)}`;
+                expect(validateExtendedPublicKey(corrupted, NETWORKS.MAINNET, {allowSLIP132: true})).toMatch(/^Invalid extended public key/);
+            });
+
+            it('should report keys whose prefix implies a different address type', () => {
+                const options = {allowSLIP132: true, addressType: MULTISIG_ADDRESS_TYPES.P2SH_P2WSH};
+                expect(validateExtendedPublicKey(validZpub, NETWORKS.MAINNET, options)).toBe("Extended public key prefix 'Zpub' implies P2WSH, not P2SH-P2WSH.");
+                expect(validateExtendedPublicKey(signingKeysUpubs[0], NETWORKS.TESTNET, options)).toBe("");
+                expect(validateExtendedPublicKey(validXpub, NETWORKS.MAINNET, options)).toBe("");
+            });
         });
 
     });
@@ -112,4 +157,89 @@ describe('Test key validation library', () => {
             });
         });
     })
-});
\ No newline at end of file
+
+    describe("Test SLIP-132 conversion", () => {
+        it("should convert between SLIP-132 prefixes", () => {
+            signingKeys.forEach((key, index) => {
+                expect(convertExtendedPublicKey(key.tpub, "Vpub")).toBe(signingKeysVpubs[index]);
+                expect(convertExtendedPublicKey(signingKeysVpubs[index], "Upub")).toBe(signingKeysUpubs[index]);
+                expect(convertExtendedPublicKey(signingKeysUpubs[index], "tpub")).toBe(key.tpub);
+            });
+            Object.keys(EXTENDED_PUBLIC_KEY_VERSIONS).forEach((prefix) => {
+                const converted = convertExtendedPublicKey(validXpub, prefix);
+                expect(converted.slice(0, 4)).toBe(prefix);
+                expect(extendedPublicKeyPrefix(converted)).toBe(prefix);
+                expect(convertExtendedPublicKey(converted, "xpub")).toBe(validXpub);
+            });
+        });
+
+        it("should throw on unknown prefixes and invalid keys", () => {
+            expect(() => convertExtendedPublicKey(validXpub, "apub")).toThrow("Unknown extended public key prefix: apub.");
+            expect(() => convertExtendedPublicKey("xpub123", "Zpub")).toThrow("Invalid extended public key.");
+        });
+
+        it("should report the prefix and implied multisig address type", () => {
+            expect(extendedPublicKeyPrefix(validTpub)).toBe("tpub");
+            expect(extendedPublicKeyPrefix("xpub123")).toBe(null);
+            expect(extendedPublicKeyMultisigAddressType(signingKeysVpubs[0])).toBe(MULTISIG_ADDRESS_TYPES.P2WSH);
+            expect(extendedPublicKeyMultisigAddressType(signingKeysUpubs[0])).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+            expect(extendedPublicKeyMultisigAddressType(convertExtendedPublicKey(validXpub, "Ypub"))).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+            expect(extendedPublicKeyMultisigAddressType(convertExtendedPublicKey(validXpub, "zpub"))).toBe(null);
+            expect(extendedPublicKeyMultisigAddressType(validXpub)).toBe(null);
+        });
+    });
+
+    describe("Test parseExtendedPublicKey", () => {
+        const expected = {
+            prefix: "tpub",
+            version: "043587cf",
+            network: NETWORKS.TESTNET,
+            depth: 4,
+            parentFingerprint: "04fa89bc",
+            childNumber: 2,
+            hardened: true,
+            chainCode: "ac36fda79e4e564a56806bcfa5e47c6a9366b62933c66c2d72da6f8f57de794a",
+            publicKey: "031561fd0d8902f69e80743be75bfac83ec3ddf6607ce2d2f8526bb0991925e0ee",
+            fingerprint: "1fc5ca34",
+        };
+
+        it("should parse the fields of an extended public key", () => {
+            expect(parseExtendedPublicKey(signingKeys[0].tpub)).toEqual(expected);
+        });
+
+        it("should parse the fields of SLIP-132 keys", () => {
+            expect(parseExtendedPublicKey(signingKeysVpubs[0])).toEqual({...expected, prefix: "Vpub", version: "02575483"});
+            const xpub = parseExtendedPublicKey(validXpub);
+            expect(xpub.network).toBe(NETWORKS.MAINNET);
+            expect(xpub.depth).toBe(3);
+            expect(xpub.childNumber).toBe(0);
+            expect(xpub.hardened).toBe(true);
+        });
+
+        it("should throw on invalid keys", () => {
+            expect(() => parseExtendedPublicKey("xpub123")).toThrow("Invalid extended public key.");
+        });
+    });
+
+    describe("Test validateExtendedPublicKeyPath", () => {
+        it("should not provide a validation message for a key at the path", () => {
+            expect(validateExtendedPublicKeyPath(signingKeys[0].tpub, multisigBIP32Root(MULTISIG_ADDRESS_TYPES.P2WSH, NETWORKS.TESTNET))).toBe("");
+            expect(validateExtendedPublicKeyPath(signingKeysUpubs[0], "48'/1'/0'/2'")).toBe("");
+        });
+
+        it("should report keys at a different depth", () => {
+            expect(validateExtendedPublicKeyPath(validXpub, "m/48'/0'/0'/2'")).toBe("Extended public key depth 3 does not match the depth 4 of m/48'/0'/0'/2'.");
+        });
+
+        it("should report keys with a different child number", () => {
+            const result = validateExtendedPublicKeyPath(signingKeys[0].tpub, multisigBIP32Root(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, NETWORKS.TESTNET));
+            expect(result).toBe("Extended public key child number 2' does not match the last index 1' of m/48'/1'/0'/1'.");
+            expect(validateExtendedPublicKeyPath(signingKeys[0].tpub, "m/48'/1'/0'/2")).toBe("Extended public key child number 2' does not match the last index 2 of m/48'/1'/0'/2.");
+        });
+
+        it("should report invalid keys and paths", () => {
+            expect(validateExtendedPublicKeyPath("xpub123", "m/48'/0'/0'/2'")).toBe("Invalid extended public key.");
+            expect(validateExtendedPublicKeyPath(validXpub, "m/a")).not.toBe("");
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { networkData, NETWORKS } from './networks';
+import { networkData, networkLabel, NETWORKS } from './networks';
 import { validateHex, toHexString, satoshisToBitcoins, bitcoinsToSatoshis } from './utils';
 import { estimateMultisigP2SHTransactionLength } from './p2sh'
 import { estimateMultisigP2SHP2WSHTransactionLength } from './p2sh_p2wsh'
@@ -22,6 +22,26 @@ describe("Test network", () => {
             const net = networkData(NETWORKS.TESTNET);
             expect(net).toEqual(bitcoin.networks.testnet);
         });
+
+        it("should properly return the regtest network object", () => {
+            const net = networkData(NETWORKS.REGTEST);
+            expect(net).toEqual(bitcoin.networks.regtest);
+            expect(net.bech32).toBe("bcrt");
+        });
+
+        it("should properly return the testnet network object for signet", () => {
+            const net = networkData(NETWORKS.SIGNET);
+            expect(net).toEqual(bitcoin.networks.testnet);
+        });
+    });
+
+    describe("Test networkLabel", () => {
+        it("should properly label each network", () => {
+            expect(networkLabel(NETWORKS.MAINNET)).toBe("Mainnet");
+            expect(networkLabel(NETWORKS.TESTNET)).toBe("Testnet");
+            expect(networkLabel(NETWORKS.REGTEST)).toBe("Regtest");
+            expect(networkLabel(NETWORKS.SIGNET)).toBe("Signet");
+        });
     });
 });
 
@@ -27,6 +27,24 @@ import bip66 from "bip66";
 import { scriptToHex } from './script';
 
 const bitcoin = require('bitcoinjs-lib');
+const bip32 = require('bip32');
+const bs58check = require('bs58check');
+
+const EXTENDED_KEY_PREFIX_REGEX = /^[xyYzZtuUvV](prv|pub)/;
+
+// SLIP-132 extended private key versions (yprv, Yprv, zprv, Zprv and
+// uprv, Uprv, vprv, Vprv) and the BIP32 xprv or tprv version they are
+// parsed as.
+const SLIP132_EXTENDED_PRIVATE_KEY_VERSIONS = {
+  "049d7878": "0488ade4",
+  "0295b005": "0488ade4",
+  "04b2430c": "0488ade4",
+  "02aa7a99": "0488ade4",
+  "044a4e28": "04358394",
+  "024285b5": "04358394",
+  "045f18bc": "04358394",
+  "02575048": "04358394",
+};
 
 /**
  * Address type constant for "pay to script hash" address type.
@@ -56,6 +74,36 @@ export const MULTISIG_ADDRESS_TYPES = {
   P2WSH,
 };
 
+/**
+ * Signature hash type constant for signing all inputs and outputs.
+ * @type {number}
+ */
+export const SIGHASH_ALL = 0x01;
+
+/**
+ * Signature hash type constant for signing all inputs and no outputs.
+ * @type {number}
+ */
+export const SIGHASH_NONE = 0x02;
+
+/**
+ * Signature hash type constant for signing all inputs and the output with the same index.
+ * @type {number}
+ */
+export const SIGHASH_SINGLE = 0x03;
+
+/**
+ * Signature hash type flag for signing only the signed input.  Combine with another type, e.g. `SIGHASH_ALL | SIGHASH_ANYONECANPAY`.
+ * @type {number}
+ */
+export const SIGHASH_ANYONECANPAY = 0x80;
+
+/**
+ * Signature hash types accepted when validating signatures unless otherwise specified.
+ * @type {number[]}
+ */
+export const DEFAULT_SIGHASH_TYPES = [SIGHASH_ALL];
+
 /**
  * Retrieve the standard derivation path for a given multisig address type and network.
  * @param {module:multisig.MULTISIG_ADDRESS_TYPES} addressType - type from which to create the root path
@@ -227,6 +275,55 @@ export function generateMultisigFromPublicKeys(network, addressType, requiredSig
   return generateMultisigFromRedeemScript(addressType, redeemScript);
 }
 
+/**
+ * Create a Multisig object like `generateMultisigFromPublicKeys` but
+ * with the public keys sorted as described in
+ * [BIP67]{@link https://github.com/bitcoin/bips/blob/master/bip-0067.mediawiki}
+ * so that the same public keys in any order create the same address.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} addressType - address type for determining Multisig object
+ * @param {number} requiredSigners - number of signers needed to spend funds
+ * @param  {...string} publicKeys - list of hex string representation of public keys, in any order
+ * @example
+ * const multisig = generateSortedMultisigFromPublicKeys(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, pubkey3, pubkey1, pubkey2);
+ * console.log(isSortedMultisig(multisig)); // true
+ * @returns {Multisig} object for further parsing
+ */
+export function generateSortedMultisigFromPublicKeys(network, addressType, requiredSigners, ...publicKeys) {
+  return generateMultisigFromPublicKeys(network, addressType, requiredSigners, ...sortPublicKeys(publicKeys));
+}
+
+/**
+ * Sort public keys as described in
+ * [BIP67]{@link https://github.com/bitcoin/bips/blob/master/bip-0067.mediawiki}.
+ * @param {string[]} publicKeys - list of hex string representation of public keys
+ * @example
+ * const sorted = sortPublicKeys(["03...", "02..."]); // ["02...", "03..."]
+ * @returns {string[]} a sorted copy of the public keys
+ */
+export function sortPublicKeys(publicKeys) {
+  return publicKeys.slice().sort((a, b) => Buffer.compare(Buffer.from(a, 'hex'), Buffer.from(b, 'hex')));
+}
+
+/**
+ * Determine whether the public keys of a Multisig object are sorted
+ * as described in
+ * [BIP67]{@link https://github.com/bitcoin/bips/blob/master/bip-0067.mediawiki}.
+ *
+ * Wallets with sorted keys can be described with `sortedmulti` and
+ * others with `multi`.
+ * @param {Multisig} multisig - object to parse
+ * @example
+ * if (isSortedMultisig(multisig)) {
+ *   // sortedmulti
+ * }
+ * @returns {boolean} whether the public keys are sorted
+ */
+export function isSortedMultisig(multisig) {
+  const publicKeys = multisigPublicKeys(multisig);
+  return sortPublicKeys(publicKeys).every((publicKey, index) => (publicKey === publicKeys[index]));
+}
+
 /**
  * Create a Multisig object from the hex representation of a redeem script.
  * @param {module:networks.NETWORKS} network - bitcoin network
@@ -338,26 +435,31 @@ function estimateMultisigTransactionLength(config) {
  * @returns {Transaction} an unsigned {@link https://github.com/bitcoinjs/bitcoinjs-lib/blob/master/types/transaction.d.ts|Transaction} object
  */
 export function unsignedMultisigTransaction(network, inputs, outputs) {
-  const transactionBuilder = new bitcoin.TransactionBuilder();
-  transactionBuilder.setVersion(1); // FIXME this depends on type...
-  transactionBuilder.network = networkData(network);
+  const transaction = new bitcoin.Transaction();
+  transaction.version = 1; // FIXME this depends on type...
   for (let inputIndex = 0; inputIndex < inputs.length; inputIndex += 1) {
     const input = inputs[inputIndex];
-    transactionBuilder.addInput(input.txid, input.index);
+    transaction.addInput(Buffer.from(input.txid, 'hex').reverse(), input.index);
   }
   for (let outputIndex = 0; outputIndex < outputs.length; outputIndex += 1) {
     const output = outputs[outputIndex];
-    transactionBuilder.addOutput(output.address, output.amountSats.toNumber());
+    transaction.addOutput(bitcoin.address.toOutputScript(output.address, networkData(network)), output.amountSats.toNumber());
   }
-  return transactionBuilder.buildIncomplete();
+  return transaction;
 }
 
 /**
  * Validate a signature for a signed transaction input.
+ *
+ * The signature is checked against the hash for its own trailing
+ * sighash type byte (`SIGHASH_ALL` if it has none).  Signatures with a
+ * sighash type which is not accepted are invalid.
  * @param {Transaction} unsignedTransaction - transaction to validate
  * @param {number} inputIndex - the index where the input appears in the transaction
  * @param {UTXO} input - the object representing the input whose signature you wish to validate
  * @param {string} signerInputSignature - signature to validate
+ * @param {Object} [options] - additional options
+ * @param {number[]} [options.sighashTypes] - accepted sighash types, defaults to [DEFAULT_SIGHASH_TYPES]{@link module:multisig.DEFAULT_SIGHASH_TYPES}
  * @example
  * const publicKey = validateMultisigSignature(unsignedTransaction, inputIndex, input, inputSignature);
  * if (publicKey) {
@@ -365,10 +467,20 @@ export function unsignedMultisigTransaction(network, inputs, outputs) {
  * } else {
  *   // not valid, handle here
  * }
+ * @example
+ * // also accept fee-sponsoring signatures
+ * const publicKey = validateMultisigSignature(unsignedTransaction, inputIndex, input, inputSignature, {
+ *   sighashTypes: [SIGHASH_ALL, SIGHASH_ALL | SIGHASH_ANYONECANPAY],
+ * });
  * @returns {string|boolean} false if invalid or corresponding public key
  */
-export function validateMultisigSignature(unsignedTransaction, inputIndex, input, signerInputSignature) {
-  const hash = multisigSignatureHash(unsignedTransaction, inputIndex, input);
+export function validateMultisigSignature(unsignedTransaction, inputIndex, input, signerInputSignature, options) {
+  const sighashType = signatureSighashType(signerInputSignature);
+  const sighashTypes = (options && options.sighashTypes) || DEFAULT_SIGHASH_TYPES;
+  if (sighashTypes.indexOf(sighashType) === -1) {
+    return false;
+  }
+  const hash = multisigSignatureHash(unsignedTransaction, inputIndex, input, sighashType);
   const signatureBuffer = multisigSignatureBuffer(signatureNoSighashType(signerInputSignature));
   const publicKeys = multisigPublicKeys(input.multisig);
   for (var publicKeyIndex=0; publicKeyIndex < multisigTotalSigners(input.multisig); publicKeyIndex++) {
@@ -383,17 +495,105 @@ export function validateMultisigSignature(unsignedTransaction, inputIndex, input
   return false;
 }
 
+/**
+ * Sign the inputs of an unsigned transaction with a private key.
+ *
+ * The private key is either a WIF encoded private key or a base58
+ * encoded extended private key (with any SLIP-132 prefix, e.g.
+ * `Zprv`), in which case the signing key is derived from it along the
+ * given BIP32 path.  Signatures are
+ * deterministic (RFC6979) with a low R value and are DER encoded with
+ * a trailing sighash type byte.
+ *
+ * Inputs whose multisig does not contain the corresponding public key
+ * are not signed.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Transaction} unsignedTransaction - transaction to sign
+ * @param {UTXO[]} inputs - the inputs of the transaction
+ * @param {string} privateKey - WIF encoded private key or base58 encoded extended private key
+ * @param {string} [bip32Path] - BIP32 derivation path of the signing key relative to the extended private key
+ * @param {Object} [options] - additional options
+ * @param {number} [options.sighashType] - sighash type to sign with, defaults to [SIGHASH_ALL]{@link module:multisig.SIGHASH_ALL}
+ * @example
+ * const signatures = signMultisigTransaction(NETWORKS.MAINNET, unsignedTransaction, inputs, xprv, "m/0/0");
+ * console.log(signatures); // [{"03684f67...": "3044022056..."}, ...]
+ * const signedTransaction = signedMultisigTransaction(unsignedTransaction, inputs, [signatures, ...]);
+ * @returns {Object[]} signatures for each input mapped to the public key, as expected by `signedMultisigTransaction`
+ */
+export function signMultisigTransaction(network, unsignedTransaction, inputs, privateKey, bip32Path, options) {
+  const sighashType = (options && options.sighashType) || SIGHASH_ALL;
+  const keyPair = signingKeyPair(network, privateKey, bip32Path);
+  const publicKey = toHexString(keyPair.publicKey);
+  return inputs.map((input, inputIndex) => {
+    const inputSignatures = {};
+    if (multisigPublicKeys(input.multisig).indexOf(publicKey) !== -1) {
+      const hash = multisigSignatureHash(unsignedTransaction, inputIndex, input, sighashType);
+      const signature = bitcoin.script.signature.encode(keyPair.sign(hash, true), sighashType);
+      inputSignatures[publicKey] = signature.toString('hex');
+    }
+    return inputSignatures;
+  });
+}
+
+// Extended keys are told apart from WIF private keys by their prefix
+// so that errors come from the parser for the kind of key given.
+function signingKeyPair(network, privateKey, bip32Path) {
+  if (!EXTENDED_KEY_PREFIX_REGEX.test(privateKey)) {
+    try {
+      return bitcoin.ECPair.fromWIF(privateKey, networkData(network));
+    } catch (e) {
+      throw new Error(`Invalid WIF private key: ${e.message}`);
+    }
+  }
+  let node;
+  try {
+    node = bip32.fromBase58(bip32ExtendedPrivateKey(privateKey), networkData(network));
+  } catch (e) {
+    throw new Error(`Invalid extended private key: ${e.message}`);
+  }
+  if (node.isNeutered()) {
+    throw new Error("Cannot sign with an extended public key.");
+  }
+  if (bip32Path) {
+    node = node.derivePath(bip32Path.slice(0, 2) === 'm/' ? bip32Path.slice(2) : bip32Path);
+  }
+  return bitcoin.ECPair.fromPrivateKey(node.privateKey, {network: networkData(network)});
+}
+
+function bip32ExtendedPrivateKey(extendedPrivateKey) {
+  const decoded = bs58check.decode(extendedPrivateKey);
+  const version = SLIP132_EXTENDED_PRIVATE_KEY_VERSIONS[decoded.slice(0, 4).toString('hex')];
+  if (!version) {
+    return extendedPrivateKey;
+  }
+  return bs58check.encode(Buffer.concat([Buffer.from(version, 'hex'), decoded.slice(4)]));
+}
+
 function signatureNoSighashType(signature) {
   const len = parseInt(signature.slice(2,4), 16);
   if (len == (signature.length - 4) / 2) return signature;
   else return signature.slice(0, -2)
 }
 
-function multisigSignatureHash(unsignedTransaction, inputIndex, input) {
+// Signatures may or may not include their trailing sighash type byte;
+// those which don't are assumed to be SIGHASH_ALL.
+function signatureSighashType(signature) {
+  if (signatureNoSighashType(signature) === signature) {
+    return SIGHASH_ALL;
+  }
+  return parseInt(signature.slice(-2), 16);
+}
+
+function signatureWithSighashType(signature) {
+  const sighashTypeHex = ('0' + signatureSighashType(signature).toString(16)).slice(-2);
+  return `${signatureNoSighashType(signature)}${sighashTypeHex}`;
+}
+
+function multisigSignatureHash(unsignedTransaction, inputIndex, input, sighashType) {
   if (multisigAddressType(input.multisig) === MULTISIG_ADDRESS_TYPES.P2WSH || multisigAddressType(input.multisig) === MULTISIG_ADDRESS_TYPES.P2SH_P2WSH) {
-    return unsignedTransaction.hashForWitnessV0(inputIndex, multisigWitnessScript(input.multisig).output, input.amountSats.toNumber(), bitcoin.Transaction.SIGHASH_ALL);
+    return unsignedTransaction.hashForWitnessV0(inputIndex, multisigWitnessScript(input.multisig).output, input.amountSats.toNumber(), sighashType);
   } else {
-    return unsignedTransaction.hashForSignature(inputIndex, multisigRedeemScript(input.multisig).output, bitcoin.Transaction.SIGHASH_ALL);
+    return unsignedTransaction.hashForSignature(inputIndex, multisigRedeemScript(input.multisig).output, sighashType);
   }
 }
 
@@ -453,14 +653,14 @@ export function signedMultisigTransaction(unsignedTransaction, inputs, inputsSig
 }
 
 function multisigWitnessField(multisig, sortedSignatures) {
-  const witness = [""].concat(sortedSignatures.map(s => signatureNoSighashType(s) +'01'));
+  const witness = [""].concat(sortedSignatures.map(signatureWithSighashType));
   const witnessScript = multisigWitnessScript(multisig);
   witness.push(scriptToHex(witnessScript));
   return witness.map(wit => Buffer.from(wit, 'hex'))
 }
 
 function multisigScriptSig(multisig, signersInputSignatures) {
-  const signatureOps = signersInputSignatures.map((signature) => (`${signatureNoSighashType(signature)}01`)).join(' '); // 01 => SIGHASH_ALL
+  const signatureOps = signersInputSignatures.map(signatureWithSighashType).join(' ');
   const inputScript = `OP_0 ${signatureOps}`;
   const inputScriptBuffer = bitcoin.script.fromASM(inputScript);
   const redeemScript = bitcoin.payments.p2ms({
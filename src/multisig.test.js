@@ -3,16 +3,20 @@ import {
     multisigAddressType, multisigRequiredSigners, multisigTotalSigners,
     multisigRedeemScript, multisigWitnessScript, generateMultisigFromHex, generateMultisigFromPublicKeys,
     multisigPublicKeys, estimateMultisigTransactionFee,
-    validateMultisigSignature, signedMultisigTransaction,
-    multisigAddress,
+    validateMultisigSignature, signedMultisigTransaction, signMultisigTransaction,
+    multisigAddress, SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY,
+    generateSortedMultisigFromPublicKeys, sortPublicKeys, isSortedMultisig,
 } from './multisig';
 import { NETWORKS } from './networks';
 import { scriptToHex } from './script';
+import { validateAddress } from './addresses';
 const BADADDR = "BADADDR"
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
 import { redeemscripts, hashes, required, total_signers, pubkeys, addresses, badSig,
         unsigned,redeemMulti, sig1, sig2, signed, p2wshsig1, p2wshsig2, p2wshredeem,
         p2wshpub1, p2wshpub2, getUnsigned, getUnsignedWithAmount, p2shkey1, p2shkey2, p2shkey3,
-        p2wshsigned} from './test_constants'
+        p2wshsigned, signingKeys} from './test_constants'
 
 describe("Test multisig library", () => {
     describe("Test multisigBIP32Root", () => {
@@ -52,6 +56,11 @@ describe("Test multisig library", () => {
                 const result = multisigBIP32Root(MULTISIG_ADDRESS_TYPES.P2WSH, NETWORKS.TESTNET);
                 expect(result).toBe("m/48'/1'/0'/2'");
             });
+
+            it("should properly return the BIP32 P2WSH root on regtest and signet", () => {
+                expect(multisigBIP32Root(MULTISIG_ADDRESS_TYPES.P2WSH, NETWORKS.REGTEST)).toBe("m/48'/1'/0'/2'");
+                expect(multisigBIP32Root(MULTISIG_ADDRESS_TYPES.P2WSH, NETWORKS.SIGNET)).toBe("m/48'/1'/0'/2'");
+            });
         });
 
         describe("Test with unknown address type", () => {
@@ -519,6 +528,22 @@ describe("Test multisig library", () => {
                 const result = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 3, ...pubkeys);
                 expect(multisigAddress(result)).toEqual(result.address);
             });
+
+            it("should return a bcrt1 address on regtest", () => {
+                const result = generateMultisigFromPublicKeys(NETWORKS.REGTEST, MULTISIG_ADDRESS_TYPES.P2WSH, 3, ...pubkeys);
+                expect(multisigAddress(result)).toMatch(/^bcrt1q/);
+                expect(validateAddress(multisigAddress(result), NETWORKS.REGTEST)).toBe('');
+            });
+        });
+
+        describe("Test on signet", () => {
+            it("should return the testnet address on signet, including custom signets", () => {
+                Object.values(MULTISIG_ADDRESS_TYPES).forEach((addressType) => {
+                    const result = generateMultisigFromPublicKeys(NETWORKS.SIGNET, addressType, 3, ...pubkeys);
+                    expect(multisigAddress(result)).toEqual(generateMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 3, ...pubkeys).address);
+                    expect(validateAddress(multisigAddress(result), NETWORKS.SIGNET)).toBe('');
+                });
+            });
         });
     });
 
@@ -904,4 +929,238 @@ describe("Test multisig library", () => {
         });
 
     });
+
+    describe("Test BIP67 sorted public keys", () => {
+        // https://github.com/bitcoin/bips/blob/master/bip-0067.mediawiki#test-vectors
+        const bip67Vectors = [
+            {
+                requiredSigners: 2,
+                publicKeys: [
+                    "02ff12471208c14bd580709cb2358d98975247d8765f92bc25eab3b2763ed605f8",
+                    "02fe6f0a5a297eb38c391581c4413e084773ea23954d93f7753db7dc0adc188b2f",
+                ],
+                sorted: [
+                    "02fe6f0a5a297eb38c391581c4413e084773ea23954d93f7753db7dc0adc188b2f",
+                    "02ff12471208c14bd580709cb2358d98975247d8765f92bc25eab3b2763ed605f8",
+                ],
+                address: "39bgKC7RFbpoCRbtD5KEdkYKtNyhpsNa3Z",
+            },
+            {
+                requiredSigners: 2,
+                publicKeys: [
+                    "02632b12f4ac5b1d1b72b2a3b508c19172de44f6f46bcee50ba33f3f9291e47ed0",
+                    "027735a29bae7780a9755fae7a1c4374c656ac6a69ea9f3697fda61bb99a4f3e77",
+                    "02e2cc6bd5f45edd43bebe7cb9b675f0ce9ed3efe613b177588290ad188d11b404",
+                ],
+                sorted: [
+                    "02632b12f4ac5b1d1b72b2a3b508c19172de44f6f46bcee50ba33f3f9291e47ed0",
+                    "027735a29bae7780a9755fae7a1c4374c656ac6a69ea9f3697fda61bb99a4f3e77",
+                    "02e2cc6bd5f45edd43bebe7cb9b675f0ce9ed3efe613b177588290ad188d11b404",
+                ],
+                address: "3CKHTjBKxCARLzwABMu9yD85kvtm7WnMfH",
+            },
+        ];
+
+        describe("Test sortPublicKeys", () => {
+            it("should sort public keys lexicographically", () => {
+                bip67Vectors.forEach((vector) => {
+                    expect(sortPublicKeys(vector.publicKeys)).toEqual(vector.sorted);
+                    expect(sortPublicKeys(vector.publicKeys.slice().reverse())).toEqual(vector.sorted);
+                });
+            });
+
+            it("should not modify its argument", () => {
+                const publicKeys = bip67Vectors[0].publicKeys.slice();
+                sortPublicKeys(publicKeys);
+                expect(publicKeys).toEqual(bip67Vectors[0].publicKeys);
+            });
+        });
+
+        describe("Test generateSortedMultisigFromPublicKeys", () => {
+            it("should generate the same address for keys in any order", () => {
+                bip67Vectors.forEach((vector) => {
+                    const multisig = generateSortedMultisigFromPublicKeys(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2SH, vector.requiredSigners, ...vector.publicKeys);
+                    const reversed = generateSortedMultisigFromPublicKeys(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2SH, vector.requiredSigners, ...vector.publicKeys.slice().reverse());
+                    expect(multisigAddress(multisig)).toBe(vector.address);
+                    expect(multisigAddress(reversed)).toBe(vector.address);
+                    expect(multisigPublicKeys(multisig)).toEqual(vector.sorted);
+                });
+            });
+
+            it("should sort keys for every address type", () => {
+                [MULTISIG_ADDRESS_TYPES.P2SH, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, MULTISIG_ADDRESS_TYPES.P2WSH].forEach((addressType) => {
+                    const multisig = generateSortedMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 2, p2wshpub1, p2wshpub2);
+                    expect(multisigPublicKeys(multisig)).toEqual([p2wshpub2, p2wshpub1]);
+                    expect(multisigAddressType(multisig)).toBe(addressType);
+                });
+            });
+        });
+
+        describe("Test isSortedMultisig", () => {
+            it("should detect sorted multisigs", () => {
+                const vector = bip67Vectors[1];
+                [MULTISIG_ADDRESS_TYPES.P2SH, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, MULTISIG_ADDRESS_TYPES.P2WSH].forEach((addressType) => {
+                    expect(isSortedMultisig(generateMultisigFromPublicKeys(NETWORKS.MAINNET, addressType, 2, ...vector.sorted))).toBe(true);
+                    expect(isSortedMultisig(generateMultisigFromPublicKeys(NETWORKS.MAINNET, addressType, 2, ...vector.sorted.slice().reverse()))).toBe(false);
+                });
+            });
+
+            it("should detect the order of an existing redeem script", () => {
+                expect(isSortedMultisig(generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH, redeemMulti))).toBe(false);
+            });
+        });
+    });
+
+    describe("Test signMultisigTransaction", () => {
+        const publicKeys = signingKeys.map((key) => key.pub);
+
+        function signingInputs(addressType, amountSats) {
+            return [{ multisig: generateMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 2, ...publicKeys), amountSats }];
+        }
+
+        it("should sign a P2SH input with an extended private key and BIP32 path", () => {
+            const tx = getUnsigned(0);
+            const inputs = signingInputs(MULTISIG_ADDRESS_TYPES.P2SH);
+            const signatures = signMultisigTransaction(NETWORKS.TESTNET, tx, inputs, signingKeys[0].tprv, "m/0/0");
+            expect(signatures).toEqual([{
+                [signingKeys[0].pub]: "304402203f953cef102bb8ffbab0be2f6cadbf0cfafd37828f25a8e90cc050f19e31555902202799235dd71cc6d3f2cb902f6a5b55323aa3ed7a3995926008fc6d6f66c0d29801",
+            }]);
+            expect(validateMultisigSignature(tx, 0, inputs[0], signatures[0][signingKeys[0].pub])).toBe(signingKeys[0].pub);
+        });
+
+        it("should sign a P2WSH input with a WIF private key", () => {
+            const {unsigned: unsignedTx, amountSats} = getUnsignedWithAmount(1);
+            const inputs = signingInputs(MULTISIG_ADDRESS_TYPES.P2WSH, amountSats);
+            const signatures = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, signingKeys[1].wif);
+            expect(signatures).toEqual([{
+                [signingKeys[1].pub]: "304402204a89a2dfce19813332240bf32603b3031eba29cd2656424cdef350d24014de1702207983f1b076d081a6183a98c40f0b5494369bf539b124ae446481b4f746ce2b8501",
+            }]);
+            expect(validateMultisigSignature(unsignedTx, 0, inputs[0], signatures[0][signingKeys[1].pub])).toBe(signingKeys[1].pub);
+        });
+
+        it("should produce signatures signedMultisigTransaction accepts", () => {
+            [MULTISIG_ADDRESS_TYPES.P2SH, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, MULTISIG_ADDRESS_TYPES.P2WSH].forEach((addressType) => {
+                const {unsigned: unsignedTx, amountSats} = getUnsignedWithAmount(1);
+                const inputs = signingInputs(addressType, amountSats);
+                const [signatures1] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, signingKeys[2].wif);
+                const [signatures2] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, signingKeys[0].tprv, "0/0");
+                expect(validateMultisigSignature(unsignedTx, 0, inputs[0], signatures1[signingKeys[2].pub])).toBe(signingKeys[2].pub);
+                expect(validateMultisigSignature(unsignedTx, 0, inputs[0], signatures2[signingKeys[0].pub])).toBe(signingKeys[0].pub);
+                const signedHex = signedMultisigTransaction(unsignedTx, inputs, [{...signatures1, ...signatures2}]).toHex();
+                expect(signedHex).toContain(signatures1[signingKeys[2].pub]);
+                expect(signedHex).toContain(signatures2[signingKeys[0].pub]);
+            });
+        });
+
+        it("should produce deterministic low R signatures", () => {
+            const {unsigned: unsignedTx, amountSats} = getUnsignedWithAmount(1);
+            const inputs = signingInputs(MULTISIG_ADDRESS_TYPES.P2WSH, amountSats);
+            signingKeys.forEach((key) => {
+                const signature = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, key.wif)[0][key.pub];
+                expect(signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, key.wif)[0][key.pub]).toBe(signature);
+                // 0x30 <length> 0x02 0x20 <32 byte R>
+                expect(signature.slice(6, 8)).toBe("20");
+                expect(parseInt(signature.slice(8, 10), 16)).toBeLessThan(0x80);
+            });
+        });
+
+        it("should not sign inputs which do not include the public key", () => {
+            const {unsigned: unsignedTx, amountSats} = getUnsignedWithAmount(1);
+            const inputs = [{ multisig: generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, p2wshredeem), amountSats }];
+            expect(signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, inputs, signingKeys[0].wif)).toEqual([{}]);
+        });
+
+        it("should sign with SLIP-132 extended private keys", () => {
+            const tx = getUnsigned(0);
+            const inputs = signingInputs(MULTISIG_ADDRESS_TYPES.P2SH);
+            const expected = signMultisigTransaction(NETWORKS.TESTNET, tx, inputs, signingKeys[0].tprv, "m/0/0");
+            const decoded = bs58check.decode(signingKeys[0].tprv);
+            ["044a4e28", "024285b5", "045f18bc", "02575048"].forEach((version) => {
+                const slip132Tprv = bs58check.encode(Buffer.concat([Buffer.from(version, 'hex'), decoded.slice(4)]));
+                expect(slip132Tprv.slice(1, 4)).toBe("prv");
+                expect(signMultisigTransaction(NETWORKS.TESTNET, tx, inputs, slip132Tprv, "m/0/0")).toEqual(expected);
+            });
+            const zprv = bs58check.encode(Buffer.concat([Buffer.from("02aa7a99", 'hex'), decoded.slice(4)]));
+            expect(zprv.slice(0, 4)).toBe("Zprv");
+            expect(() => signMultisigTransaction(NETWORKS.TESTNET, tx, inputs, zprv, "m/0/0")).toThrow(/^Invalid extended private key: /);
+        });
+
+        it("should not sign with an extended public key", () => {
+            expect(() => signMultisigTransaction(NETWORKS.TESTNET, getUnsigned(0), [], signingKeys[0].tpub)).toThrow("Cannot sign with an extended public key.");
+        });
+
+        it("should report invalid extended private keys and WIF private keys", () => {
+            const tprv = signingKeys[0].tprv;
+            const badChecksumTprv = `${tprv.slice(0, -1)}${tprv.slice(-1) === 'o' ? 'p' : 'o'}`;
+            expect(() => signMultisigTransaction(NETWORKS.TESTNET, getUnsigned(0), [], badChecksumTprv, "0/0")).toThrow(/^Invalid extended private key: /);
+            const wif = signingKeys[0].wif;
+            const badChecksumWif = `${wif.slice(0, -1)}${wif.slice(-1) === 'N' ? 'M' : 'N'}`;
+            expect(() => signMultisigTransaction(NETWORKS.TESTNET, getUnsigned(0), [], badChecksumWif)).toThrow(/^Invalid WIF private key: /);
+        });
+    });
+
+    describe("Test sighash types", () => {
+        const publicKeys = signingKeys.map((key) => key.pub);
+        const SINGLE_ANYONECANPAY = SIGHASH_SINGLE | SIGHASH_ANYONECANPAY;
+
+        function p2wshSighashInput() {
+            const {unsigned: unsignedTx, amountSats} = getUnsignedWithAmount(1);
+            const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...publicKeys);
+            return { unsignedTx, input: { multisig, amountSats } };
+        }
+
+        // Sign independently of multisigSignatureHash
+        function p2wshSignature(unsignedTx, input, key, sighashType) {
+            const keyPair = bitcoin.ECPair.fromWIF(key.wif, bitcoin.networks.testnet);
+            const hash = unsignedTx.hashForWitnessV0(0, input.multisig.redeem.output, input.amountSats.toNumber(), sighashType);
+            return bitcoin.script.signature.encode(keyPair.sign(hash, true), sighashType).toString('hex');
+        }
+
+        it("should reject signatures with sighash types which are not accepted", () => {
+            const {unsignedTx, input} = p2wshSighashInput();
+            const signature = p2wshSignature(unsignedTx, input, signingKeys[0], SINGLE_ANYONECANPAY);
+            expect(validateMultisigSignature(unsignedTx, 0, input, signature)).toBe(false);
+            expect(validateMultisigSignature(unsignedTx, 0, input, signature, {sighashTypes: [SIGHASH_ALL, SIGHASH_NONE]})).toBe(false);
+        });
+
+        it("should validate signatures against the hash for their own sighash type", () => {
+            const {unsignedTx, input} = p2wshSighashInput();
+            const signature = p2wshSignature(unsignedTx, input, signingKeys[0], SINGLE_ANYONECANPAY);
+            expect(validateMultisigSignature(unsignedTx, 0, input, signature, {sighashTypes: [SINGLE_ANYONECANPAY]})).toBe(signingKeys[0].pub);
+            const allSignature = p2wshSignature(unsignedTx, input, signingKeys[0], SIGHASH_ALL);
+            const mislabeled = `${allSignature.slice(0, -2)}83`;
+            expect(validateMultisigSignature(unsignedTx, 0, input, mislabeled, {sighashTypes: [SINGLE_ANYONECANPAY]})).toBe(false);
+        });
+
+        it("should sign with the requested sighash type", () => {
+            const {unsignedTx, input} = p2wshSighashInput();
+            const signatures = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, [input], signingKeys[0].wif, undefined, {sighashType: SINGLE_ANYONECANPAY});
+            expect(signatures[0][signingKeys[0].pub]).toBe(p2wshSignature(unsignedTx, input, signingKeys[0], SINGLE_ANYONECANPAY));
+        });
+
+        it("should serialize each signature's own sighash type into the witness", () => {
+            const {unsignedTx, input} = p2wshSighashInput();
+            const [signatures1] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, [input], signingKeys[0].wif, undefined, {sighashType: SINGLE_ANYONECANPAY});
+            const [signatures2] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, [input], signingKeys[1].wif);
+            const signedTransaction = signedMultisigTransaction(unsignedTx, [input], [{...signatures1, ...signatures2}]);
+            const witness = signedTransaction.ins[0].witness.map((item) => item.toString('hex'));
+            expect(witness[1]).toBe(signatures1[signingKeys[0].pub]);
+            expect(witness[1].slice(-2)).toBe("83");
+            expect(witness[2]).toBe(signatures2[signingKeys[1].pub]);
+            expect(witness[2].slice(-2)).toBe("01");
+        });
+
+        it("should serialize each signature's own sighash type into the scriptSig", () => {
+            const unsignedTx = getUnsigned(0);
+            const input = { multisig: generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH, 2, ...publicKeys) };
+            const [signatures1] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, [input], signingKeys[0].wif, undefined, {sighashType: SIGHASH_NONE});
+            const [signatures2] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTx, [input], signingKeys[2].wif);
+            expect(validateMultisigSignature(unsignedTx, 0, input, signatures1[signingKeys[0].pub], {sighashTypes: [SIGHASH_NONE]})).toBe(signingKeys[0].pub);
+            const signedTransaction = signedMultisigTransaction(unsignedTx, [input], [{...signatures1, ...signatures2}]);
+            const scriptSig = bitcoin.script.decompile(signedTransaction.ins[0].script).map((chunk) => (Buffer.isBuffer(chunk) ? chunk.toString('hex') : chunk));
+            expect(scriptSig[1]).toBe(signatures1[signingKeys[0].pub]);
+            expect(scriptSig[1].slice(-2)).toBe("02");
+            expect(scriptSig[2].slice(-2)).toBe("01");
+        });
+    });
 });
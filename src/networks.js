@@ -16,11 +16,25 @@ export const MAINNET = "mainnet";
 export const TESTNET = "testnet";
 
 /**
- * @enum {string} Enumeration of possible values for bitcoin networks ([MAINET]{@link module:networks.MAINNET}|[TESTNET]{@link module:networks.TESTNET}).
+ * @constant {string} - Constant for selection of a local bitcoin regtest network.
+ */
+export const REGTEST = "regtest";
+
+/**
+ * @constant {string} - Constant for selection of the bitcoin signet network.  A signet's challenge only
+ * affects block validation, so custom signets, with their own challenge, need no special handling: they
+ * have the same address and extended public key formats and use this constant too.
+ */
+export const SIGNET = "signet";
+
+/**
+ * @enum {string} Enumeration of possible values for bitcoin networks ([MAINET]{@link module:networks.MAINNET}|[TESTNET]{@link module:networks.TESTNET}|[REGTEST]{@link module:networks.REGTEST}|[SIGNET]{@link module:networks.SIGNET}).
  */
 export const NETWORKS = {
   MAINNET,
   TESTNET,
+  REGTEST,
+  SIGNET,
 };
 
 /**
@@ -37,6 +51,10 @@ export function networkData(network) {
       return bitcoin.networks.bitcoin;
     case NETWORKS.TESTNET:
       return bitcoin.networks.testnet;
+    case NETWORKS.REGTEST:
+      return bitcoin.networks.regtest;
+    case NETWORKS.SIGNET:
+      return bitcoin.networks.testnet;
     default:
       return bitcoin.networks.testnet;
   }
@@ -53,6 +71,10 @@ export function networkLabel(network) {
       return "Mainnet";
     case NETWORKS.TESTNET:
       return "Testnet";
+    case NETWORKS.REGTEST:
+      return "Regtest";
+    case NETWORKS.SIGNET:
+      return "Signet";
     default:
       return "Testnet";
   }
@@ -0,0 +1,229 @@
+/**
+ * This module provides functions for tracking the key origins
+ * (`[fingerprint/path]`) of the public keys in a multisig, which
+ * hardware wallets need for PSBTs, output descriptors, and wallet
+ * registration, and for computing fingerprints.
+ * @module origins
+ */
+
+import {
+  generateMultisigFromPublicKeys,
+  generateSortedMultisigFromPublicKeys,
+  multisigPublicKeys,
+} from "./multisig";
+import {
+  validatePublicKey,
+  compressPublicKey,
+  parseExtendedPublicKey,
+} from "./keys";
+import {validateBIP32Path} from "./bip32";
+import {toHexString} from "./utils";
+
+const bitcoin = require('bitcoinjs-lib');
+
+const XFP_REGEX = /^[0-9a-fA-F]{8}$/;
+const KEY_ORIGIN_REGEX = /^\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\]$/;
+
+/**
+ * Compute the fingerprint of a public key: the first four bytes of the
+ * HASH160 of its compressed form.
+ *
+ * The fingerprint of a wallet's root public key is the root (master)
+ * fingerprint of its key origins.
+ * @param {string} publicKey - hex public key, compressed or uncompressed
+ * @example
+ * const fingerprint = publicKeyFingerprint("03b32dc780fba98db25b4b72cf2b69da228f5e10ca6aa8f46eabe7f9fe22c994ee");
+ * @returns {string} the 8 character hex fingerprint
+ */
+export function publicKeyFingerprint(publicKey) {
+  const error = validatePublicKey(publicKey);
+  if (error !== '') {
+    throw new Error(error);
+  }
+  const compressed = (publicKey.length === 130 ? compressPublicKey(publicKey) : publicKey);
+  return toHexString(bitcoin.crypto.hash160(Buffer.from(compressed, 'hex')).slice(0, 4));
+}
+
+/**
+ * Compute the fingerprint of an extended public key's own public key.
+ *
+ * This is the root fingerprint only for a root (depth 0) extended
+ * public key: the root fingerprint of a derived key cannot be computed
+ * from it.
+ * @param {string} extendedPublicKey - base58 encoded extended public key
+ * @example
+ * const xfp = extendedPublicKeyFingerprint(rootXpub);
+ * @returns {string} the 8 character hex fingerprint
+ */
+export function extendedPublicKeyFingerprint(extendedPublicKey) {
+  return parseExtendedPublicKey(extendedPublicKey).fingerprint;
+}
+
+/**
+ * Format a key origin as used in output descriptors, PSBTs, and by
+ * hardware wallets.
+ * @param {Object} keyOrigin - the key origin
+ * @param {string} keyOrigin.xfp - hex root fingerprint
+ * @param {string} keyOrigin.bip32Path - BIP32 path of the key from the root
+ * @example
+ * const origin = formatKeyOrigin({xfp: "d34db33f", bip32Path: "m/48'/0'/0'/2'"});
+ * console.log(origin); // [d34db33f/48'/0'/0'/2']
+ * @returns {string} the key origin
+ */
+export function formatKeyOrigin(keyOrigin) {
+  const error = validateKeyOrigin(keyOrigin);
+  if (error !== '') {
+    throw new Error(error);
+  }
+  return `[${keyOrigin.xfp.toLowerCase()}${keyOrigin.bip32Path.replace(/^m/, "")}]`;
+}
+
+/**
+ * Parse a key origin such as `[d34db33f/48'/0'/0'/2']`.  Hardened
+ * indexes may be written with `'` or `h`.
+ * @param {string} keyOriginString - the key origin
+ * @example
+ * const {xfp, bip32Path} = parseKeyOrigin("[d34db33f/48h/0h/0h/2h]");
+ * console.log(bip32Path); // m/48'/0'/0'/2'
+ * @returns {Object} the key origin's lowercase `xfp` and `bip32Path`
+ */
+export function parseKeyOrigin(keyOriginString) {
+  const match = (typeof keyOriginString === "string" ? keyOriginString.match(KEY_ORIGIN_REGEX) : null);
+  if (!match) {
+    throw new Error(`Invalid key origin: ${keyOriginString}.`);
+  }
+  const keyOrigin = {
+    xfp: match[1].toLowerCase(),
+    bip32Path: (match[2] ? `m${match[2].replace(/h/g, "'")}` : "m"),
+  };
+  if (keyOrigin.bip32Path !== "m") {
+    const pathError = validateBIP32Path(keyOrigin.bip32Path);
+    if (pathError !== '') {
+      throw new Error(`Invalid key origin: ${pathError}`);
+    }
+  }
+  return keyOrigin;
+}
+
+/**
+ * Provide validation messages for a key origin.
+ * @param {Object} keyOrigin - the key origin
+ * @param {string} keyOrigin.xfp - hex root fingerprint
+ * @param {string} keyOrigin.bip32Path - BIP32 path of the key from the root
+ * @example
+ * const validationError = validateKeyOrigin({xfp: "d34db33", bip32Path: "m/48'/0'/0'/2'"});
+ * console.log(validationError); // Key origin fingerprint must be 8 hexadecimal characters.
+ * @returns {string} empty if valid or corresponding validation message
+ */
+export function validateKeyOrigin(keyOrigin) {
+  if (!keyOrigin || typeof keyOrigin.xfp !== "string" || !keyOrigin.xfp.match(XFP_REGEX)) {
+    return "Key origin fingerprint must be 8 hexadecimal characters.";
+  }
+  if (keyOrigin.bip32Path === "m") {
+    return '';
+  }
+  if (typeof keyOrigin.bip32Path !== "string" || keyOrigin.bip32Path.slice(0, 2) !== "m/") {
+    return "Key origin BIP32 path must be absolute.";
+  }
+  return validateBIP32Path(keyOrigin.bip32Path);
+}
+
+/**
+ * Create a Multisig object like `generateMultisigFromPublicKeys` which
+ * also records the key origin of each public key.
+ *
+ * The key origins can be read back in the order of the public keys in
+ * the script with `multisigKeyOrigins`.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} addressType - address type for determining Multisig object
+ * @param {number} requiredSigners - number of signers needed to spend funds
+ * @param {...Object} keys - the hex `publicKey`, root fingerprint `xfp`, and full `bip32Path` of each key
+ * @example
+ * const multisig = generateMultisigFromKeyOrigins(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2,
+ *   {publicKey: "03...", xfp: "f57ec65d", bip32Path: "m/48'/0'/0'/2'/0/0"},
+ *   ...
+ * );
+ * @returns {Multisig} object for further parsing
+ */
+export function generateMultisigFromKeyOrigins(network, addressType, requiredSigners, ...keys) {
+  validateKeys(keys);
+  const multisig = generateMultisigFromPublicKeys(network, addressType, requiredSigners, ...keys.map((key) => key.publicKey));
+  return multisig && setKeyOrigins(multisig, keys);
+}
+
+/**
+ * Create a Multisig object like `generateMultisigFromKeyOrigins` but
+ * with the keys sorted by public key as described in
+ * [BIP67]{@link https://github.com/bitcoin/bips/blob/master/bip-0067.mediawiki}.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {module:multisig.MULTISIG_ADDRESS_TYPES} addressType - address type for determining Multisig object
+ * @param {number} requiredSigners - number of signers needed to spend funds
+ * @param {...Object} keys - the hex `publicKey`, root fingerprint `xfp`, and full `bip32Path` of each key, in any order
+ * @example
+ * const multisig = generateSortedMultisigFromKeyOrigins(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, key3, key1, key2);
+ * @returns {Multisig} object for further parsing
+ */
+export function generateSortedMultisigFromKeyOrigins(network, addressType, requiredSigners, ...keys) {
+  validateKeys(keys);
+  const multisig = generateSortedMultisigFromPublicKeys(network, addressType, requiredSigners, ...keys.map((key) => key.publicKey));
+  return multisig && setKeyOrigins(multisig, keys);
+}
+
+/**
+ * Record the key origins of the public keys of an existing Multisig
+ * object, e.g. one created with `generateMultisigFromHex`.
+ *
+ * Only the key origins are validated: the public keys are matched
+ * against those already in the multisig's script, so this is cheaper
+ * than `generateMultisigFromKeyOrigins` for public keys which are known
+ * to be valid, e.g. derived from an extended public key.
+ * @param {Multisig} multisig - object to add key origins to
+ * @param {...Object} keys - the hex `publicKey`, root fingerprint `xfp`, and full `bip32Path` of each key, in any order
+ * @example
+ * const multisig = addMultisigKeyOrigins(generateMultisigFromHex(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, witnessScriptHex), key1, key2, key3);
+ * @returns {Multisig} the same object, with key origins
+ */
+export function addMultisigKeyOrigins(multisig, ...keys) {
+  keys.forEach((key, keyIndex) => {
+    const error = validateKeyOrigin(key);
+    if (error !== '') {
+      throw new Error(`Invalid key ${keyIndex}: ${error}`);
+    }
+  });
+  return setKeyOrigins(multisig, keys);
+}
+
+function validateKeys(keys) {
+  keys.forEach((key, keyIndex) => {
+    const error = (key ? validatePublicKey(key.publicKey) || validateKeyOrigin(key) : "Key cannot be blank.");
+    if (error !== '') {
+      throw new Error(`Invalid key ${keyIndex}: ${error}`);
+    }
+  });
+}
+
+// Record the key origins in the order of the multisig's public keys.
+function setKeyOrigins(multisig, keys) {
+  const publicKeys = keys.map((key) => (typeof key.publicKey === "string" ? key.publicKey.toLowerCase() : null));
+  multisig.keyOrigins = multisigPublicKeys(multisig).map((publicKey) => {
+    const key = keys[publicKeys.indexOf(publicKey)];
+    if (!key) {
+      throw new Error(`No key origin for public key ${publicKey}.`);
+    }
+    return {publicKey, xfp: key.xfp.toLowerCase(), bip32Path: key.bip32Path};
+  });
+  return multisig;
+}
+
+/**
+ * Return the key origins of a Multisig object, in the order of its
+ * public keys in the script.
+ * @param {Multisig} multisig - object to parse
+ * @example
+ * const keyOrigins = multisigKeyOrigins(multisig);
+ * console.log(keyOrigins[0]); // {publicKey: "02...", xfp: "f57ec65d", bip32Path: "m/48'/0'/0'/2'/0/0"}
+ * @returns {Object[]|null} the `publicKey`, `xfp`, and `bip32Path` of each key, or `null` if the multisig was created without key origins
+ */
+export function multisigKeyOrigins(multisig) {
+  return multisig.keyOrigins || null;
+}
@@ -0,0 +1,132 @@
+import {
+    publicKeyFingerprint,
+    extendedPublicKeyFingerprint,
+    formatKeyOrigin,
+    parseKeyOrigin,
+    validateKeyOrigin,
+    generateMultisigFromKeyOrigins,
+    generateSortedMultisigFromKeyOrigins,
+    addMultisigKeyOrigins,
+    multisigKeyOrigins,
+} from './origins';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    generateSortedMultisigFromPublicKeys,
+    multisigAddress,
+    multisigPublicKeys,
+} from './multisig';
+import {NETWORKS, networkData} from './networks';
+import {signingKeys, keysCompressedUncompressed} from './test_constants';
+
+const bip32 = require('bip32');
+
+function rootTpub(key) {
+    return bip32.fromBase58(key.rootTprv, networkData(NETWORKS.TESTNET)).neutered().toBase58();
+}
+
+describe("Test key origins", () => {
+    describe("Test fingerprints", () => {
+        it("should compute the root fingerprint of a root extended public key", () => {
+            signingKeys.forEach((key) => {
+                expect(extendedPublicKeyFingerprint(rootTpub(key))).toBe(key.xfp);
+            });
+        });
+
+        it("should compute the fingerprint of a root public key", () => {
+            signingKeys.forEach((key) => {
+                const rootPublicKey = bip32.fromBase58(rootTpub(key), networkData(NETWORKS.TESTNET)).publicKey.toString('hex');
+                expect(publicKeyFingerprint(rootPublicKey)).toBe(key.xfp);
+            });
+        });
+
+        it("should compute the same fingerprint for compressed and uncompressed public keys", () => {
+            keysCompressedUncompressed.forEach(({compressed, uncompressed}) => {
+                expect(publicKeyFingerprint(uncompressed)).toBe(publicKeyFingerprint(compressed));
+            });
+        });
+
+        it("should throw on invalid keys", () => {
+            expect(() => publicKeyFingerprint("")).toThrow("Public key cannot be blank.");
+            expect(() => extendedPublicKeyFingerprint("xpub123")).toThrow("Invalid extended public key.");
+        });
+    });
+
+    describe("Test formatKeyOrigin and parseKeyOrigin", () => {
+        it("should format key origins", () => {
+            expect(formatKeyOrigin({xfp: "D34DB33F", bip32Path: "m/48'/0'/0'/2'"})).toBe("[d34db33f/48'/0'/0'/2']");
+            expect(formatKeyOrigin({xfp: "d34db33f", bip32Path: "m"})).toBe("[d34db33f]");
+        });
+
+        it("should parse key origins", () => {
+            expect(parseKeyOrigin("[d34db33f/48'/0'/0'/2']")).toEqual({xfp: "d34db33f", bip32Path: "m/48'/0'/0'/2'"});
+            expect(parseKeyOrigin("[D34DB33F/48h/0h/0h/2h/0/7]")).toEqual({xfp: "d34db33f", bip32Path: "m/48'/0'/0'/2'/0/7"});
+            expect(parseKeyOrigin("[d34db33f]")).toEqual({xfp: "d34db33f", bip32Path: "m"});
+        });
+
+        it("should round trip key origins", () => {
+            const origin = "[4ba43603/48'/1'/0'/2']";
+            expect(formatKeyOrigin(parseKeyOrigin(origin))).toBe(origin);
+        });
+
+        it("should reject invalid key origins", () => {
+            expect(() => parseKeyOrigin("d34db33f/48'/0'/0'/2'")).toThrow("Invalid key origin: d34db33f/48'/0'/0'/2'.");
+            expect(() => parseKeyOrigin("[d34db3/48'/0'/0'/2']")).toThrow("Invalid key origin: [d34db3/48'/0'/0'/2'].");
+            expect(() => parseKeyOrigin("[d34db33f/4294967296]")).toThrow(/^Invalid key origin: /);
+            expect(() => formatKeyOrigin({xfp: "d34db33f", bip32Path: "48'/0'/0'/2'"})).toThrow("Key origin BIP32 path must be absolute.");
+        });
+
+        it("should validate key origins", () => {
+            expect(validateKeyOrigin({xfp: "d34db33f", bip32Path: "m/48'/0'/0'/2'"})).toBe("");
+            expect(validateKeyOrigin({xfp: "d34db33", bip32Path: "m/48'/0'/0'/2'"})).toBe("Key origin fingerprint must be 8 hexadecimal characters.");
+            expect(validateKeyOrigin(null)).toBe("Key origin fingerprint must be 8 hexadecimal characters.");
+        });
+    });
+
+    describe("Test multisigs with key origins", () => {
+        const path = "m/48'/1'/0'/2'/0/0";
+        const keys = signingKeys.map((key) => ({publicKey: key.pub, xfp: key.xfp, bip32Path: path}));
+
+        it("should create the same multisig as generateMultisigFromPublicKeys", () => {
+            const multisig = generateMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys);
+            const expected = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys.map((key) => key.publicKey));
+            expect(multisigAddress(multisig)).toBe(multisigAddress(expected));
+            expect(multisigKeyOrigins(multisig)).toEqual(keys);
+        });
+
+        it("should sort keys with their origins", () => {
+            const reversed = keys.slice().reverse();
+            const multisig = generateSortedMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, 2, ...reversed);
+            const expected = generateSortedMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, 2, ...reversed.map((key) => key.publicKey));
+            expect(multisigAddress(multisig)).toBe(multisigAddress(expected));
+            const keyOrigins = multisigKeyOrigins(multisig);
+            expect(keyOrigins.map((keyOrigin) => keyOrigin.publicKey)).toEqual(multisigPublicKeys(multisig));
+            keyOrigins.forEach((keyOrigin) => {
+                expect(keyOrigin.xfp).toBe(signingKeys.find((key) => key.pub === keyOrigin.publicKey).xfp);
+            });
+        });
+
+        it("should return null for multisigs without key origins", () => {
+            const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys.map((key) => key.publicKey));
+            expect(multisigKeyOrigins(multisig)).toBe(null);
+        });
+
+        it("should add key origins to an existing multisig", () => {
+            const multisig = generateSortedMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys.map((key) => key.publicKey));
+            expect(addMultisigKeyOrigins(multisig, ...keys)).toBe(multisig);
+            expect(multisigKeyOrigins(multisig)).toEqual(multisigKeyOrigins(generateSortedMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys)));
+        });
+
+        it("should throw on missing or invalid key origins for an existing multisig", () => {
+            const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys.map((key) => key.publicKey));
+            expect(() => addMultisigKeyOrigins(multisig, keys[0], {...keys[1], bip32Path: "48'/1'"}, keys[2])).toThrow("Invalid key 1: Key origin BIP32 path must be absolute.");
+            expect(() => addMultisigKeyOrigins(multisig, keys[0], keys[2])).toThrow(`No key origin for public key ${keys[1].publicKey}.`);
+        });
+
+        it("should throw on invalid keys", () => {
+            expect(() => generateMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, keys[0], {...keys[1], xfp: "xyz"})).toThrow("Invalid key 1: Key origin fingerprint must be 8 hexadecimal characters.");
+            expect(() => generateSortedMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, keys[0], {...keys[1], publicKey: ""})).toThrow("Invalid key 1: Public key cannot be blank.");
+            expect(() => generateMultisigFromKeyOrigins(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 1, keys[0], null)).toThrow("Invalid key 1: Key cannot be blank.");
+        });
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * This module provides functions for creating, parsing, and
+ * validating the multisig
+ * [wallet policies]{@link https://github.com/bitcoin/bips/blob/master/bip-0388.mediawiki}
+ * of BIP388, such as `wsh(sortedmulti(2,@0/**,@1/**,@2/**))`, which
+ * signers like Ledger's Bitcoin app register, and for computing their
+ * policy IDs.
+ * @module policies
+ */
+
+import {MULTISIG_ADDRESS_TYPES} from "./multisig";
+import {parseMultisigDescriptor} from "./descriptors";
+import {validateExtendedPublicKey} from "./keys";
+
+const bitcoin = require('bitcoinjs-lib');
+const varuint = require('varuint-bitcoin');
+
+const POLICY_TEMPLATE_WRAPPERS = {
+  [MULTISIG_ADDRESS_TYPES.P2SH]: ["sh"],
+  [MULTISIG_ADDRESS_TYPES.P2SH_P2WSH]: ["sh", "wsh"],
+  [MULTISIG_ADDRESS_TYPES.P2WSH]: ["wsh"],
+};
+
+const POLICY_PLACEHOLDER_REGEX = /@(\d+)(?:\/\*\*|\/<(\d+);(\d+)>\/\*)/g;
+const POLICY_KEY_INFO_REGEX = /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['h])*)\])?([1-9A-HJ-NP-Za-km-z]+)$/;
+const POLICY_VERSION = 2;
+const POLICY_MAXIMUM_NAME_LENGTH = 255;
+
+/**
+ * Create a BIP388 wallet policy from a multisig wallet configuration.
+ *
+ * The keys information vector lists the extended public keys in the
+ * order of the wallet configuration, with their key origins.  Keys
+ * are sorted in the script (`sortedmulti`) and use the receive and
+ * change paths `/**`.
+ * @param {Object} config - the wallet configuration, as returned by e.g. `parseCaravanWalletConfig`
+ * @example
+ * const policy = generateWalletPolicy(config);
+ * console.log(policy.descriptorTemplate); // wsh(sortedmulti(2,@0/**,@1/**,@2/**))
+ * console.log(policy.keysInfo[0]); // [f57ec65d/48'/0'/0'/2']xpub6...
+ * @returns {Object} the policy's `name`, `descriptorTemplate`, and `keysInfo`
+ */
+export function generateWalletPolicy(config) {
+  const wrappers = POLICY_TEMPLATE_WRAPPERS[config.addressType];
+  if (!wrappers) {
+    throw new Error(`Invalid address type: ${config.addressType}.`);
+  }
+  const placeholders = config.extendedPublicKeys.map((key, keyIndex) => `@${keyIndex}/**`);
+  const multi = `sortedmulti(${[config.quorum.requiredSigners, ...placeholders].join(",")})`;
+  return {
+    name: config.name || '',
+    descriptorTemplate: wrappers.reduceRight((expression, wrapper) => `${wrapper}(${expression})`, multi),
+    keysInfo: config.extendedPublicKeys.map(({xfp, bip32Path, xpub}) => {
+      const origin = (xfp && bip32Path ? `[${xfp.toLowerCase()}${bip32Path.replace(/^m/, "").replace(/h/g, "'")}]` : "");
+      return `${origin}${xpub}`;
+    }),
+  };
+}
+
+/**
+ * Provide validation messages for a BIP388 wallet policy.
+ *
+ * Checks that each key placeholder is `@i/**` or `@i/<M;N>/*`, that
+ * the placeholders first appear in order and each refers to a key,
+ * that no key is used twice with the same derivation, and that each
+ * key has only a fully-hardened key origin and no derivation.
+ * @param {Object} policy - the wallet policy
+ * @param {string} policy.name - name of the wallet
+ * @param {string} policy.descriptorTemplate - the descriptor template, e.g. `wsh(sortedmulti(2,@0/**,@1/**))`
+ * @param {string[]} policy.keysInfo - the keys information vector
+ * @example
+ * const validationError = validateWalletPolicy({name: "Vault", descriptorTemplate: "wsh(sortedmulti(1,@1/**,@0/**))", keysInfo});
+ * console.log(validationError); // Key placeholder @1 must not appear before @0.
+ * @returns {string} empty if valid or corresponding validation message
+ */
+export function validateWalletPolicy(policy) {
+  if (policy === null || typeof policy !== "object") {
+    return "Wallet policy cannot be blank.";
+  }
+  if (typeof policy.name !== "string" || policy.name.length > POLICY_MAXIMUM_NAME_LENGTH) {
+    return `Wallet policy name must be at most ${POLICY_MAXIMUM_NAME_LENGTH} characters.`;
+  }
+  if (typeof policy.descriptorTemplate !== "string" || policy.descriptorTemplate === '') {
+    return "Descriptor template cannot be blank.";
+  }
+  if (!Array.isArray(policy.keysInfo) || policy.keysInfo.length === 0) {
+    return "Keys information vector cannot be empty.";
+  }
+  const placeholderError = validatePlaceholders(policy.descriptorTemplate, policy.keysInfo.length);
+  if (placeholderError !== '') {
+    return placeholderError;
+  }
+  for (let keyIndex = 0; keyIndex < policy.keysInfo.length; keyIndex++) {
+    const keyInfo = policy.keysInfo[keyIndex];
+    if (typeof keyInfo !== "string" || !keyInfo.match(POLICY_KEY_INFO_REGEX)) {
+      return `Invalid key information for @${keyIndex}: keys must be extended public keys with an optional fully-hardened key origin.`;
+    }
+    if (policy.keysInfo.indexOf(keyInfo) !== keyIndex) {
+      return `Key information for @${keyIndex} is a duplicate.`;
+    }
+  }
+  return '';
+}
+
+function validatePlaceholders(descriptorTemplate, numKeys) {
+  const derivations = [];
+  let placeholderCount = 0;
+  let nextKeyIndex = 0;
+  const placeholderRegex = new RegExp(POLICY_PLACEHOLDER_REGEX.source, "g");
+  let match = placeholderRegex.exec(descriptorTemplate);
+  while (match) {
+    placeholderCount += 1;
+    const keyIndex = parseInt(match[1], 10);
+    if (keyIndex >= numKeys) {
+      return `Key placeholder @${keyIndex} has no key information.`;
+    }
+    if (keyIndex > nextKeyIndex) {
+      return `Key placeholder @${keyIndex} must not appear before @${nextKeyIndex}.`;
+    }
+    if (keyIndex === nextKeyIndex) {
+      nextKeyIndex += 1;
+    }
+    const steps = (match[2] === undefined ? [0, 1] : [parseInt(match[2], 10), parseInt(match[3], 10)]);
+    if (steps[0] === steps[1]) {
+      return `Key placeholder @${keyIndex} must use two different derivation steps.`;
+    }
+    derivations[keyIndex] = derivations[keyIndex] || [];
+    if (steps.some((step) => derivations[keyIndex].includes(step))) {
+      return `Key placeholder @${keyIndex} is used more than once with the same derivation.`;
+    }
+    derivations[keyIndex].push(...steps);
+    match = placeholderRegex.exec(descriptorTemplate);
+  }
+  if ((descriptorTemplate.match(/@/g) || []).length !== placeholderCount) {
+    return "Key placeholders must be of the form @i/** or @i/<M;N>/*.";
+  }
+  if (nextKeyIndex < numKeys) {
+    return `Key placeholder @${nextKeyIndex} does not appear in the descriptor template.`;
+  }
+  return '';
+}
+
+/**
+ * Parse a BIP388 multisig wallet policy into a wallet configuration.
+ *
+ * Only `sortedmulti` policies whose keys use the receive and change
+ * paths `/**` (or `/<0;1>/*`) describe wallet configurations.
+ * @param {Object} policy - the wallet policy, as returned by `generateWalletPolicy`
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const config = parseWalletPolicy({name: "Vault", descriptorTemplate: "wsh(sortedmulti(2,@0/**,@1/**,@2/**))", keysInfo}, NETWORKS.MAINNET);
+ * console.log(config.quorum); // {requiredSigners: 2, totalSigners: 3}
+ * @returns {Object} the wallet's `name`, `addressType`, `network`, `quorum`, and `extendedPublicKeys`
+ */
+export function parseWalletPolicy(policy, network) {
+  const error = validateWalletPolicy(policy);
+  if (error !== '') {
+    throw new Error(`Invalid wallet policy: ${error}`);
+  }
+  const descriptor = policy.descriptorTemplate.replace(POLICY_PLACEHOLDER_REGEX, (placeholder, keyIndex, receiveStep, changeStep) => {
+    if (receiveStep !== undefined && !(receiveStep === "0" && changeStep === "1")) {
+      throw new Error(`Unsupported derivation in wallet policy: ${placeholder}.`);
+    }
+    return `${policy.keysInfo[parseInt(keyIndex, 10)]}/0/*`;
+  });
+  const {addressType, requiredSigners, sorted, keys} = parseMultisigDescriptor(descriptor);
+  if (!sorted) {
+    throw new Error("Wallet policy must use sortedmulti.");
+  }
+  return {
+    name: policy.name,
+    addressType,
+    network,
+    quorum: {requiredSigners, totalSigners: keys.length},
+    extendedPublicKeys: keys.map((key) => {
+      const xpubError = validateExtendedPublicKey(key.xpub, network);
+      if (xpubError !== '') {
+        throw new Error(xpubError);
+      }
+      return (key.xfp ? {xfp: key.xfp, bip32Path: key.bip32Path, xpub: key.xpub} : {xpub: key.xpub});
+    }),
+  };
+}
+
+/**
+ * Compute the ID of a BIP388 wallet policy.
+ *
+ * This is the hash Ledger's Bitcoin app authenticates with an HMAC
+ * when a wallet is registered, so it can be used to check that the
+ * wallet a device registered is the expected one.  It commits to the
+ * name, the descriptor template, and the keys information vector.
+ * @param {Object} policy - the wallet policy
+ * @example
+ * const policyId = walletPolicyId(generateWalletPolicy(config));
+ * console.log(policyId); // 64 hex characters
+ * @returns {string} the policy ID as hex
+ */
+export function walletPolicyId(policy) {
+  const error = validateWalletPolicy(policy);
+  if (error !== '') {
+    throw new Error(`Invalid wallet policy: ${error}`);
+  }
+  const name = Buffer.from(policy.name, 'latin1');
+  const descriptorTemplate = Buffer.from(policy.descriptorTemplate, 'utf8');
+  const keyHashes = policy.keysInfo.map((keyInfo) => bitcoin.crypto.sha256(Buffer.concat([Buffer.from([0x00]), Buffer.from(keyInfo, 'utf8')])));
+  return bitcoin.crypto.sha256(Buffer.concat([
+    Buffer.from([POLICY_VERSION, name.length]),
+    name,
+    varuint.encode(descriptorTemplate.length),
+    bitcoin.crypto.sha256(descriptorTemplate),
+    varuint.encode(policy.keysInfo.length),
+    merkleRoot(keyHashes),
+  ])).toString('hex');
+}
+
+// The root of the Merkle tree of RFC 6962, whose left subtree holds
+// the largest power of two smaller than the number of leaves.
+function merkleRoot(leaves) {
+  if (leaves.length === 1) {
+    return leaves[0];
+  }
+  let split = 1;
+  while (split * 2 < leaves.length) {
+    split *= 2;
+  }
+  return bitcoin.crypto.sha256(Buffer.concat([
+    Buffer.from([0x01]),
+    merkleRoot(leaves.slice(0, split)),
+    merkleRoot(leaves.slice(split)),
+  ]));
+}
@@ -0,0 +1,131 @@
+import {
+    generateWalletPolicy,
+    validateWalletPolicy,
+    parseWalletPolicy,
+    walletPolicyId,
+} from './policies';
+import {MULTISIG_ADDRESS_TYPES} from './multisig';
+import {NETWORKS} from './networks';
+import {signingKeys} from './test_constants';
+
+const keysInfo = signingKeys.map((key) => `[${key.xfp}/48'/1'/0'/2']${key.tpub}`);
+
+const walletConfig = {
+    name: "Vault",
+    addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+    network: NETWORKS.TESTNET,
+    quorum: {requiredSigners: 2, totalSigners: 3},
+    extendedPublicKeys: signingKeys.map((key) => ({xfp: key.xfp, bip32Path: "m/48'/1'/0'/2'", xpub: key.tpub})),
+};
+
+const policy = {
+    name: "Vault",
+    descriptorTemplate: "wsh(sortedmulti(2,@0/**,@1/**,@2/**))",
+    keysInfo,
+};
+
+describe("Test wallet policies", () => {
+    describe("Test generateWalletPolicy", () => {
+        it("should create a policy from a wallet configuration", () => {
+            expect(generateWalletPolicy(walletConfig)).toEqual(policy);
+        });
+
+        it("should wrap the template for each address type", () => {
+            expect(generateWalletPolicy({...walletConfig, addressType: MULTISIG_ADDRESS_TYPES.P2SH}).descriptorTemplate).toBe("sh(sortedmulti(2,@0/**,@1/**,@2/**))");
+            expect(generateWalletPolicy({...walletConfig, addressType: MULTISIG_ADDRESS_TYPES.P2SH_P2WSH}).descriptorTemplate).toBe("sh(wsh(sortedmulti(2,@0/**,@1/**,@2/**)))");
+            expect(() => generateWalletPolicy({...walletConfig, addressType: "P2PKH"})).toThrow("Invalid address type: P2PKH.");
+        });
+
+        it("should omit missing key origins", () => {
+            const config = {...walletConfig, extendedPublicKeys: [{xpub: signingKeys[0].tpub}, ...walletConfig.extendedPublicKeys.slice(1)]};
+            expect(generateWalletPolicy(config).keysInfo).toEqual([signingKeys[0].tpub, ...keysInfo.slice(1)]);
+        });
+    });
+
+    describe("Test validateWalletPolicy", () => {
+        it("should accept valid policies", () => {
+            expect(validateWalletPolicy(policy)).toBe('');
+            expect(validateWalletPolicy({...policy, descriptorTemplate: "sh(wsh(multi(2,@0/<0;1>/*,@1/<2;3>/*,@2/**)))"})).toBe('');
+            expect(validateWalletPolicy({...policy, descriptorTemplate: "wsh(or_d(multi(2,@0/**,@1/**),and_v(v:pk(@0/<2;3>/*),older(1000))))", keysInfo: keysInfo.slice(0, 2)})).toBe('');
+        });
+
+        it("should properly report invalid placeholders", () => {
+            [
+                ["wsh(sortedmulti(2,@1/**,@0/**,@2/**))", "Key placeholder @1 must not appear before @0."],
+                ["wsh(sortedmulti(2,@0/**,@1/**,@3/**))", "Key placeholder @3 has no key information."],
+                ["wsh(sortedmulti(2,@0/**,@1/**))", "Key placeholder @2 does not appear in the descriptor template."],
+                ["wsh(sortedmulti(2,@0/**,@1/**,@2/0/*))", "Key placeholders must be of the form @i/** or @i/<M;N>/*."],
+                ["wsh(sortedmulti(2,@0/**,@1/**,@2))", "Key placeholders must be of the form @i/** or @i/<M;N>/*."],
+                ["wsh(sortedmulti(2,@0/**,@1/**,@2/<1;1>/*))", "Key placeholder @2 must use two different derivation steps."],
+                ["wsh(sortedmulti(2,@0/**,@1/**,@2/**,@2/<1;2>/*))", "Key placeholder @2 is used more than once with the same derivation."],
+            ].forEach(([descriptorTemplate, message]) => {
+                expect(validateWalletPolicy({...policy, descriptorTemplate})).toBe(message);
+            });
+        });
+
+        it("should properly report invalid key information", () => {
+            expect(validateWalletPolicy({...policy, keysInfo: [keysInfo[0], `${keysInfo[1]}/0`, keysInfo[2]]})).toBe("Invalid key information for @1: keys must be extended public keys with an optional fully-hardened key origin.");
+            expect(validateWalletPolicy({...policy, keysInfo: [keysInfo[0], keysInfo[1], keysInfo[2].replace("/2']", "/2]")]})).toBe("Invalid key information for @2: keys must be extended public keys with an optional fully-hardened key origin.");
+            expect(validateWalletPolicy({...policy, keysInfo: [keysInfo[0], keysInfo[1], keysInfo[0]]})).toBe("Key information for @2 is a duplicate.");
+            expect(validateWalletPolicy({...policy, keysInfo: []})).toBe("Keys information vector cannot be empty.");
+        });
+
+        it("should properly report blank policies", () => {
+            expect(validateWalletPolicy(null)).toBe("Wallet policy cannot be blank.");
+            expect(validateWalletPolicy({...policy, descriptorTemplate: ""})).toBe("Descriptor template cannot be blank.");
+            expect(validateWalletPolicy({...policy, name: "x".repeat(256)})).toBe("Wallet policy name must be at most 255 characters.");
+        });
+    });
+
+    describe("Test parseWalletPolicy", () => {
+        it("should parse a policy into a wallet configuration", () => {
+            expect(parseWalletPolicy(policy, NETWORKS.TESTNET)).toEqual(walletConfig);
+        });
+
+        it("should round trip each address type", () => {
+            Object.values(MULTISIG_ADDRESS_TYPES).forEach((addressType) => {
+                const config = {...walletConfig, addressType};
+                expect(parseWalletPolicy(generateWalletPolicy(config), NETWORKS.TESTNET)).toEqual(config);
+            });
+        });
+
+        it("should accept explicit receive and change paths", () => {
+            const explicitPolicy = {...policy, descriptorTemplate: "wsh(sortedmulti(2,@0/<0;1>/*,@1/<0;1>/*,@2/<0;1>/*))"};
+            expect(parseWalletPolicy(explicitPolicy, NETWORKS.TESTNET)).toEqual(walletConfig);
+        });
+
+        it("should throw on policies which are not wallet configurations", () => {
+            expect(() => parseWalletPolicy({...policy, descriptorTemplate: "wsh(sortedmulti(2,@0/**,@1/**,@2/<2;3>/*))"}, NETWORKS.TESTNET)).toThrow("Unsupported derivation in wallet policy: @2/<2;3>/*.");
+            expect(() => parseWalletPolicy({...policy, descriptorTemplate: "wsh(multi(2,@0/**,@1/**,@2/**))"}, NETWORKS.TESTNET)).toThrow("Wallet policy must use sortedmulti.");
+            expect(() => parseWalletPolicy({...policy, descriptorTemplate: "tr(@0/**)", keysInfo: keysInfo.slice(0, 1)}, NETWORKS.TESTNET)).toThrow("Descriptor must contain a multi or sortedmulti expression.");
+            expect(() => parseWalletPolicy({...policy, descriptorTemplate: "wsh(sortedmulti(2,@1/**,@0/**,@2/**))"}, NETWORKS.TESTNET)).toThrow("Invalid wallet policy: Key placeholder @1 must not appear before @0.");
+            expect(() => parseWalletPolicy(policy, NETWORKS.MAINNET)).toThrow("Extended public key must begin with 'xpub'.");
+        });
+    });
+
+    describe("Test walletPolicyId", () => {
+        // Expected IDs computed with WalletPolicy#getId from Ledger's ledger-bitcoin client (v0.3.0).
+        it("should match the policy IDs computed by the Ledger client", () => {
+            expect(walletPolicyId(policy)).toBe("6189d7ec79a7cfede870353d19f23400a8216b4b25f8d0be733f656f61390af2");
+            expect(walletPolicyId({
+                name: "Cold storage",
+                descriptorTemplate: "wsh(sortedmulti(2,@0/**,@1/**))",
+                keysInfo: [
+                    "[76223a6e/48'/1'/0'/2']tpubDE7NQymr4AFtewpAsWtnreyq9ghkzQBXpCZjWLFVRAvnbf7vya2eMTvT2fPapNqL8SuVvLQdbUbMfWLVDCZKnsEBqp6UK93QEzL8Ck23AwF",
+                    keysInfo[0],
+                ],
+            })).toBe("55b926758b4ad62df6dcfbf240c22ead2b55bcc5b5849475d01474800d179848");
+        });
+
+        it("should commit to the name, template, and keys", () => {
+            const policyId = walletPolicyId(policy);
+            expect(walletPolicyId({...policy, name: "Other"})).not.toBe(policyId);
+            expect(walletPolicyId({...policy, descriptorTemplate: "wsh(sortedmulti(3,@0/**,@1/**,@2/**))"})).not.toBe(policyId);
+            expect(walletPolicyId({...policy, keysInfo: [keysInfo[1], keysInfo[0], keysInfo[2]]})).not.toBe(policyId);
+        });
+
+        it("should throw on invalid policies", () => {
+            expect(() => walletPolicyId({...policy, keysInfo: keysInfo.slice(0, 2)})).toThrow("Invalid wallet policy: Key placeholder @2 has no key information.");
+        });
+    });
+});
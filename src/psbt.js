@@ -0,0 +1,391 @@
+/**
+ * This module provides functions for working with partially signed
+ * bitcoin transactions (PSBTs) as described in
+ * [BIP174]{@link https://github.com/bitcoin/bips/blob/master/bip-0174.mediawiki}.
+ * @module psbt
+ */
+
+import BigNumber from 'bignumber.js';
+import {networkData} from "./networks";
+import {
+  MULTISIG_ADDRESS_TYPES,
+  multisigAddressType,
+  multisigPublicKeys,
+  multisigRequiredSigners,
+  multisigRedeemScript,
+  multisigWitnessScript,
+  generateMultisigFromHex,
+  signedMultisigTransaction,
+  validateMultisigSignature,
+} from "./multisig";
+import {deriveChildPublicKey} from "./bip32";
+import {multisigKeyOrigins} from "./origins";
+import {satoshisToBitcoins} from "./utils";
+
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
+
+const PSBT_MAGIC_HEX = "70736274ff";
+
+/**
+ * Create an unsigned PSBT based on the network, inputs and outputs.
+ *
+ * Each input must have a `multisig` property.  P2SH inputs must also
+ * have a `transactionHex` property which is included as the
+ * `non_witness_utxo`.  P2SH-P2WSH and P2WSH inputs must also have an
+ * `amountSats` property which is used to build the `witness_utxo`.
+ *
+ * When `extendedPublicKeys` are given, each is included as a global
+ * xpub record.  Inputs and outputs with a `bip32Path` property then
+ * also get a BIP32 derivation record for each cosigner.  The
+ * `bip32Path` is either a full path (e.g. from `multisigBIP32Path`)
+ * which must begin with each cosigner's `bip32Path`, or an unhardened
+ * path relative to each cosigner's extended public key (e.g. `0/5`).
+ * Otherwise inputs and outputs whose `multisig` records key origins
+ * (see `generateMultisigFromKeyOrigins`) get a BIP32 derivation record
+ * for each of its keys.  Change outputs should also have a `multisig`
+ * property so their redeem and witness scripts are included.
+ *
+ * Call `toBase64()` or `toHex()` on the returned object to serialize it.
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {UTXO[]} inputs - inputs used to create transaction
+ * @param {Object[]} outputs - transaction recipients
+ * @param {Object[]} [extendedPublicKeys] - the cosigners' extended public keys
+ * @param {string} extendedPublicKeys[].xfp - hex fingerprint of the cosigner's root key
+ * @param {string} extendedPublicKeys[].xpub - base58 encoded extended public key
+ * @param {string} extendedPublicKeys[].bip32Path - BIP32 derivation path of the extended public key
+ * @example
+ * const psbt = unsignedMultisigPSBT(NETWORKS.MAINNET, inputs, outputs);
+ * console.log(psbt.toBase64()); // cHNidP8BAF4CAAAAAd...
+ * @example
+ * const extendedPublicKeys = [
+ *   {xfp: "f57ec65d", xpub: "xpub6...", bip32Path: multisigBIP32Root(P2WSH, MAINNET)},
+ *   ...
+ * ];
+ * const inputs = [{txid, index, amountSats, multisig, bip32Path: multisigBIP32Path(P2WSH, MAINNET, 5)}];
+ * const psbt = unsignedMultisigPSBT(NETWORKS.MAINNET, inputs, outputs, extendedPublicKeys);
+ * @returns {Psbt} an unsigned {@link https://github.com/bitcoinjs/bitcoinjs-lib/blob/master/types/psbt.d.ts|Psbt} object
+ */
+export function unsignedMultisigPSBT(network, inputs, outputs, extendedPublicKeys) {
+  const psbt = new bitcoin.Psbt({network: networkData(network)});
+  psbt.setVersion(1); // match unsignedMultisigTransaction
+  if (extendedPublicKeys && extendedPublicKeys.length > 0) {
+    psbt.updateGlobal({globalXpub: extendedPublicKeys.map((extendedPublicKey) => ({
+      extendedPubkey: bs58check.decode(extendedPublicKey.xpub),
+      masterFingerprint: Buffer.from(extendedPublicKey.xfp, 'hex'),
+      path: extendedPublicKey.bip32Path,
+    }))});
+  }
+  for (let inputIndex = 0; inputIndex < inputs.length; inputIndex += 1) {
+    const input = inputs[inputIndex];
+    const psbtInputData = psbtInput(input);
+    if (input.bip32Path && extendedPublicKeys) {
+      psbtInputData.bip32Derivation = psbtBIP32Derivation(network, input, extendedPublicKeys);
+    } else if (multisigKeyOrigins(input.multisig)) {
+      psbtInputData.bip32Derivation = psbtKeyOriginDerivation(input.multisig);
+    }
+    psbt.addInput(psbtInputData);
+  }
+  for (let outputIndex = 0; outputIndex < outputs.length; outputIndex += 1) {
+    const output = outputs[outputIndex];
+    const psbtOutputData = {
+      address: output.address,
+      value: output.amountSats.toNumber(),
+    };
+    if (output.multisig) {
+      Object.assign(psbtOutputData, psbtScripts(output.multisig));
+    }
+    if (output.bip32Path && extendedPublicKeys) {
+      psbtOutputData.bip32Derivation = psbtBIP32Derivation(network, output, extendedPublicKeys);
+    } else if (output.multisig && multisigKeyOrigins(output.multisig)) {
+      psbtOutputData.bip32Derivation = psbtKeyOriginDerivation(output.multisig);
+    }
+    psbt.addOutput(psbtOutputData);
+  }
+  return psbt;
+}
+
+function psbtInput(input) {
+  const psbtInputData = {
+    hash: input.txid,
+    index: input.index,
+    ...psbtScripts(input.multisig),
+  };
+  if (multisigAddressType(input.multisig) === MULTISIG_ADDRESS_TYPES.P2SH) {
+    if (!input.transactionHex) {
+      throw new Error("P2SH inputs require transactionHex for nonWitnessUtxo.");
+    }
+    psbtInputData.nonWitnessUtxo = Buffer.from(input.transactionHex, 'hex');
+  } else {
+    psbtInputData.witnessUtxo = {
+      script: input.multisig.output,
+      value: input.amountSats.toNumber(),
+    };
+  }
+  return psbtInputData;
+}
+
+function psbtScripts(multisig) {
+  const scripts = {};
+  const redeemScript = multisigRedeemScript(multisig);
+  const witnessScript = multisigWitnessScript(multisig);
+  if (redeemScript) {
+    scripts.redeemScript = redeemScript.output;
+  }
+  if (witnessScript) {
+    scripts.witnessScript = witnessScript.output;
+  }
+  return scripts;
+}
+
+function psbtBIP32Derivation(network, inputOrOutput, extendedPublicKeys) {
+  const publicKeys = multisigPublicKeys(inputOrOutput.multisig);
+  return extendedPublicKeys.map((extendedPublicKey) => {
+    let path, relativePath;
+    if (inputOrOutput.bip32Path.slice(0, 2) === 'm/') {
+      path = inputOrOutput.bip32Path;
+      if (path.indexOf(`${extendedPublicKey.bip32Path}/`) !== 0) {
+        throw new Error(`BIP32 path ${path} is not derived from ${extendedPublicKey.bip32Path}.`);
+      }
+      relativePath = path.slice(extendedPublicKey.bip32Path.length + 1);
+    } else {
+      relativePath = inputOrOutput.bip32Path;
+      path = `${extendedPublicKey.bip32Path}/${relativePath}`;
+    }
+    const publicKey = deriveChildPublicKey(extendedPublicKey.xpub, relativePath, network);
+    if (publicKeys.indexOf(publicKey) === -1) {
+      throw new Error(`Public key at ${path} for ${extendedPublicKey.xfp} is not in the multisig.`);
+    }
+    return {
+      masterFingerprint: Buffer.from(extendedPublicKey.xfp, 'hex'),
+      pubkey: Buffer.from(publicKey, 'hex'),
+      path,
+    };
+  });
+}
+
+function psbtKeyOriginDerivation(multisig) {
+  return multisigKeyOrigins(multisig).map((keyOrigin) => ({
+    masterFingerprint: Buffer.from(keyOrigin.xfp, 'hex'),
+    pubkey: Buffer.from(keyOrigin.publicKey, 'hex'),
+    path: keyOrigin.bip32Path,
+  }));
+}
+
+/**
+ * Parse a base64 or hex encoded PSBT into the inputs, outputs and
+ * partial signatures it contains.
+ *
+ * The returned inputs are {@link UTXO} objects whose `multisig` is
+ * rebuilt from the redeem/witness scripts in the PSBT and the returned
+ * signatures are in the format expected by `signedMultisigTransaction`.
+ *
+ * Throws an error if any input does not carry a multisig redeem or
+ * witness script or if its scripts do not hash to the script of the
+ * output it spends.
+ * @param {string} psbtString - base64 or hex encoded PSBT
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const {unsignedTransaction, inputs, outputs, signatures} = parseMultisigPSBT(psbtBase64, NETWORKS.MAINNET);
+ * const signedTransaction = signedMultisigTransaction(unsignedTransaction, inputs, signatures);
+ * @returns {Object} object with `unsignedTransaction`, `inputs`, `outputs` and `signatures` properties
+ */
+export function parseMultisigPSBT(psbtString, network) {
+  const psbt = psbtFromString(psbtString, network);
+  const unsignedTransaction = psbtUnsignedTransaction(psbt);
+  const inputs = psbt.data.inputs.map((psbtInputData, inputIndex) => (
+    multisigInputFromPSBTInput(network, unsignedTransaction.ins[inputIndex], psbtInputData, inputIndex)
+  ));
+  const outputs = psbt.txOutputs.map((output) => ({
+    address: output.address,
+    amountSats: new BigNumber(output.value),
+  }));
+  const signatures = psbt.data.inputs.map((psbtInputData) => {
+    const inputSignatures = {};
+    (psbtInputData.partialSig || []).forEach((partialSig) => {
+      inputSignatures[partialSig.pubkey.toString('hex')] = partialSig.signature.toString('hex');
+    });
+    return inputSignatures;
+  });
+  return {unsignedTransaction, inputs, outputs, signatures};
+}
+
+/**
+ * Combine PSBTs for the same unsigned transaction, e.g. as returned by
+ * several cosigners, into a single PSBT carrying all of their partial
+ * signatures.
+ *
+ * Throws an error if the PSBTs are for different unsigned transactions
+ * or if they contain conflicting values for the same global, input or
+ * output record.
+ * @param {string[]} psbtStrings - base64 or hex encoded PSBTs
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const psbt = combineMultisigPSBTs([psbtFromSigner1, psbtFromSigner2], NETWORKS.MAINNET);
+ * console.log(psbt.toBase64()); // cHNidP8BAF4CAAAAAd...
+ * @returns {Psbt} the combined {@link https://github.com/bitcoinjs/bitcoinjs-lib/blob/master/types/psbt.d.ts|Psbt} object
+ */
+export function combineMultisigPSBTs(psbtStrings, network) {
+  if (!Array.isArray(psbtStrings) || psbtStrings.length === 0) {
+    throw new Error("At least one PSBT is required.");
+  }
+  const psbts = psbtStrings.map((psbtString) => psbtFromString(psbtString, network));
+  const [psbt, ...others] = psbts;
+  const unsignedTransactionHex = psbtUnsignedTransaction(psbt).toHex();
+  for (let psbtIndex = 0; psbtIndex < others.length; psbtIndex++) {
+    const other = others[psbtIndex];
+    if (psbtUnsignedTransaction(other).toHex() !== unsignedTransactionHex) {
+      throw new Error("PSBTs are not for the same unsigned transaction.");
+    }
+    const globalConflict = conflictingPSBTField(psbt.data.globalMap, other.data.globalMap);
+    if (globalConflict) {
+      throw new Error(`PSBTs have conflicting global ${globalConflict} data.`);
+    }
+    for (let inputIndex = 0; inputIndex < psbt.data.inputs.length; inputIndex++) {
+      const inputConflict = conflictingPSBTField(psbt.data.inputs[inputIndex], other.data.inputs[inputIndex]);
+      if (inputConflict) {
+        throw new Error(`PSBTs have conflicting ${inputConflict} data for input ${inputIndex}.`);
+      }
+    }
+    for (let outputIndex = 0; outputIndex < psbt.data.outputs.length; outputIndex++) {
+      const outputConflict = conflictingPSBTField(psbt.data.outputs[outputIndex], other.data.outputs[outputIndex]);
+      if (outputConflict) {
+        throw new Error(`PSBTs have conflicting ${outputConflict} data for output ${outputIndex}.`);
+      }
+    }
+  }
+  if (others.length > 0) {
+    psbt.combine(...others);
+  }
+  return psbt;
+}
+
+/**
+ * Finalize a fully signed PSBT and extract the signed transaction.
+ *
+ * Signatures are placed in the scriptSig or witness in the same order
+ * as `signedMultisigTransaction`, i.e. the order of their public keys
+ * in the redeem or witness script.  Invalid signatures are skipped and
+ * only the first `multisigRequiredSigners` valid signatures are used
+ * for each input.
+ *
+ * Throws an error if any input does not have enough valid signatures.
+ * Signatures with a sighash type which is not accepted are invalid.
+ * @param {string} psbtString - base64 or hex encoded PSBT
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @param {Object} [options] - additional options
+ * @param {number[]} [options.sighashTypes] - accepted sighash types, see `validateMultisigSignature`
+ * @example
+ * const psbt = combineMultisigPSBTs([psbtFromSigner1, psbtFromSigner2], NETWORKS.MAINNET);
+ * const signedTransaction = finalizeMultisigPSBT(psbt.toBase64(), NETWORKS.MAINNET);
+ * console.log(signedTransaction.toHex()); // 0100000001d73e679f...
+ * @returns {Transaction} a signed {@link https://github.com/bitcoinjs/bitcoinjs-lib/blob/master/types/transaction.d.ts|Transaction} object
+ */
+export function finalizeMultisigPSBT(psbtString, network, options) {
+  const {unsignedTransaction, inputs, signatures} = parseMultisigPSBT(psbtString, network);
+  const requiredSignatures = inputs.map((input, inputIndex) => {
+    const inputSignatures = signatures[inputIndex];
+    const requiredSigners = multisigRequiredSigners(input.multisig);
+    const publicKeys = multisigPublicKeys(input.multisig).filter((publicKey) => inputSignatures[publicKey]);
+    if (publicKeys.length < requiredSigners) {
+      throw new Error(`Input ${inputIndex} has ${publicKeys.length} of ${requiredSigners} required signatures.`);
+    }
+    const validPublicKeys = publicKeys.filter((publicKey) => (
+      validateMultisigSignature(unsignedTransaction, inputIndex, input, inputSignatures[publicKey], options) === publicKey
+    ));
+    if (validPublicKeys.length < requiredSigners) {
+      const invalidPublicKeys = publicKeys.filter((publicKey) => !validPublicKeys.includes(publicKey));
+      throw new Error(`Input ${inputIndex} has ${validPublicKeys.length} valid of ${requiredSigners} required signatures, with an invalid signature for public keys ${invalidPublicKeys.join(", ")}.`);
+    }
+    const inputRequiredSignatures = {};
+    validPublicKeys.slice(0, requiredSigners).forEach((publicKey) => {
+      inputRequiredSignatures[publicKey] = inputSignatures[publicKey];
+    });
+    return inputRequiredSignatures;
+  });
+  return signedMultisigTransaction(unsignedTransaction, inputs, requiredSignatures);
+}
+
+function conflictingPSBTField(data, otherData) {
+  const fields = Object.keys(otherData);
+  for (let fieldIndex = 0; fieldIndex < fields.length; fieldIndex++) {
+    const field = fields[fieldIndex];
+    const value = data[field];
+    const otherValue = otherData[field];
+    if (value !== undefined && otherValue !== undefined) {
+      if (Array.isArray(otherValue)) {
+        const serializedValues = {};
+        value.forEach((item) => { serializedValues[psbtKeyValueKey(item)] = JSON.stringify(item); });
+        if (otherValue.some((item) => {
+          const serializedValue = serializedValues[psbtKeyValueKey(item)];
+          return serializedValue !== undefined && serializedValue !== JSON.stringify(item);
+        })) {
+          return field;
+        }
+      } else if (JSON.stringify(value) !== JSON.stringify(otherValue)) {
+        return field;
+      }
+    }
+  }
+  return null;
+}
+
+// Array-valued PSBT fields are lists of key-value records keyed by
+// their public key (partial signatures, BIP32 derivations), extended
+// public key (global xpubs) or raw key (unknown records).
+function psbtKeyValueKey(item) {
+  return (item.pubkey || item.extendedPubkey || item.key).toString('hex');
+}
+
+function psbtFromString(psbtString, network) {
+  const options = {network: networkData(network)};
+  if (psbtString.slice(0, 10).toLowerCase() === PSBT_MAGIC_HEX) {
+    return bitcoin.Psbt.fromHex(psbtString, options);
+  }
+  return bitcoin.Psbt.fromBase64(psbtString, options);
+}
+
+function psbtUnsignedTransaction(psbt) {
+  return bitcoin.Transaction.fromBuffer(psbt.data.globalMap.unsignedTx.toBuffer());
+}
+
+function multisigInputFromPSBTInput(network, transactionInput, psbtInputData, inputIndex) {
+  const {redeemScript, witnessScript} = psbtInputData;
+  let addressType, multisigScript;
+  if (witnessScript) {
+    addressType = (redeemScript ? MULTISIG_ADDRESS_TYPES.P2SH_P2WSH : MULTISIG_ADDRESS_TYPES.P2WSH);
+    multisigScript = witnessScript;
+  } else if (redeemScript) {
+    addressType = MULTISIG_ADDRESS_TYPES.P2SH;
+    multisigScript = redeemScript;
+  } else {
+    throw new Error(`Input ${inputIndex} has no redeem or witness script.`);
+  }
+  const multisig = generateMultisigFromHex(network, addressType, multisigScript.toString('hex'));
+  if (redeemScript && !redeemScript.equals(multisigRedeemScript(multisig).output)) {
+    throw new Error(`Input ${inputIndex} redeem script does not match its witness script.`);
+  }
+
+  const txid = Buffer.from(transactionInput.hash).reverse().toString('hex');
+  const input = {txid, index: transactionInput.index, multisig};
+  let prevout;
+  if (psbtInputData.nonWitnessUtxo) {
+    const previousTransaction = bitcoin.Transaction.fromBuffer(psbtInputData.nonWitnessUtxo);
+    if (previousTransaction.getId() !== txid) {
+      throw new Error(`Input ${inputIndex} non-witness UTXO does not match its txid.`);
+    }
+    prevout = previousTransaction.outs[transactionInput.index];
+    input.transactionHex = psbtInputData.nonWitnessUtxo.toString('hex');
+  } else if (psbtInputData.witnessUtxo) {
+    prevout = psbtInputData.witnessUtxo;
+  }
+  if (!prevout) {
+    throw new Error(`Input ${inputIndex} has no UTXO.`);
+  }
+  if (!prevout.script.equals(multisig.output)) {
+    throw new Error(`Input ${inputIndex} scripts do not match the script of the output it spends.`);
+  }
+  input.amountSats = new BigNumber(prevout.value);
+  input.amount = satoshisToBitcoins(input.amountSats).toString();
+  return input;
+}
@@ -0,0 +1,346 @@
+import BigNumber from 'bignumber.js';
+import { unsignedMultisigPSBT, parseMultisigPSBT, combineMultisigPSBTs, finalizeMultisigPSBT } from './psbt';
+import { MULTISIG_ADDRESS_TYPES, generateMultisigFromHex, generateMultisigFromPublicKeys, multisigAddressType, multisigAddress,
+        signedMultisigTransaction } from './multisig';
+import { NETWORKS } from './networks';
+import { generateMultisigFromKeyOrigins } from './origins';
+import { redeemMulti, redeemscripts, p2wshredeem, testTxs, getUnsigned,
+        p2wshsig1, p2wshsig2, p2wshpub1, p2wshpub2, p2wshsigned,
+        p2shFundingTransaction, p2shFundingTxid, psbts, bip32TestKeys, signingKeys,
+        signingKeysFundingTransactions, signingKeysSignedTransactions } from './test_constants';
+
+const bitcoin = require('bitcoinjs-lib');
+const bs58check = require('bs58check');
+
+function p2shInputs() {
+    const multisig = generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH, redeemMulti);
+    return [{
+        txid: p2shFundingTxid,
+        index: 0,
+        amountSats: BigNumber(1000000),
+        transactionHex: p2shFundingTransaction,
+        multisig,
+    }];
+}
+
+function segwitInputs(addressType) {
+    const multisig = generateMultisigFromHex(NETWORKS.TESTNET, addressType, p2wshredeem);
+    return testTxs[1].inputs.map((input) => ({...input, multisig}));
+}
+
+function p2wshPSBTWithSignatures(publicKeysSignatures) {
+    const psbt = bitcoin.Psbt.fromBase64(psbts.p2wsh);
+    psbt.updateInput(0, {partialSig: publicKeysSignatures.map(([publicKey, signature]) => ({
+        pubkey: Buffer.from(publicKey, 'hex'),
+        signature: Buffer.from(`${signature}01`, 'hex'),
+    }))});
+    return psbt.toBase64();
+}
+
+const p2shOutputs = [{ address: "2N64Na46fGcbdbSso9aCoyE6Ruc5hvoGagP", amountSats: BigNumber(990000) }];
+
+// A PSBT spending signingKeys' 2-of-3 multisig, signed by the first two keys.
+function signingKeysPSBT(addressType) {
+    const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 2, ...signingKeys.map((key) => key.pub));
+    const transactionHex = signingKeysFundingTransactions[addressType];
+    const txid = bitcoin.Transaction.fromHex(transactionHex).getId();
+    const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, [{ txid, index: 0, amountSats: BigNumber(1000000), transactionHex, multisig }], p2shOutputs);
+    signingKeys.slice(0, 2).forEach((key) => psbt.signInput(0, bitcoin.ECPair.fromWIF(key.wif, bitcoin.networks.testnet)));
+    return psbt.toBase64();
+}
+
+describe("Test psbt library", () => {
+    describe("Test unsignedMultisigPSBT", () => {
+        it("should properly create an unsigned PSBT for P2SH", () => {
+            const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, p2shInputs(), p2shOutputs);
+            expect(psbt.toBase64()).toBe(psbts.p2sh);
+            const input = bitcoin.Psbt.fromBase64(psbt.toBase64()).data.inputs[0];
+            expect(input.nonWitnessUtxo.toString('hex')).toBe(p2shFundingTransaction);
+            expect(input.redeemScript.toString('hex')).toBe(redeemMulti);
+            expect(input.witnessUtxo).toBeUndefined();
+            expect(input.witnessScript).toBeUndefined();
+        });
+
+        it("should properly create an unsigned PSBT for P2SH-P2WSH", () => {
+            const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, segwitInputs(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH), testTxs[1].outputs);
+            expect(psbt.toBase64()).toBe(psbts.p2shP2wsh);
+            const input = bitcoin.Psbt.fromBase64(psbt.toBase64()).data.inputs[0];
+            expect(input.witnessUtxo.value).toBe(112233);
+            expect(input.redeemScript.toString('hex')).toBe("0020012abf9099203033d68497869c9c9c1da70cd3c5f546b54f5cec8beccec36d5b");
+            expect(input.witnessScript.toString('hex')).toBe(p2wshredeem);
+            expect(input.nonWitnessUtxo).toBeUndefined();
+        });
+
+        it("should properly create an unsigned PSBT for P2WSH", () => {
+            const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, segwitInputs(MULTISIG_ADDRESS_TYPES.P2WSH), testTxs[1].outputs);
+            expect(psbt.toBase64()).toBe(psbts.p2wsh);
+            expect(psbt.toHex()).toBe(Buffer.from(psbts.p2wsh, 'base64').toString('hex'));
+            const input = bitcoin.Psbt.fromBase64(psbt.toBase64()).data.inputs[0];
+            expect(input.witnessUtxo.script.toString('hex')).toBe("0020012abf9099203033d68497869c9c9c1da70cd3c5f546b54f5cec8beccec36d5b");
+            expect(input.witnessScript.toString('hex')).toBe(p2wshredeem);
+            expect(input.redeemScript).toBeUndefined();
+        });
+
+        it("should require the transaction hex of P2SH inputs", () => {
+            const inputs = p2shInputs().map((input) => ({...input, transactionHex: undefined}));
+            expect(() => unsignedMultisigPSBT(NETWORKS.TESTNET, inputs, p2shOutputs)).toThrow("P2SH inputs require transactionHex for nonWitnessUtxo.");
+        });
+
+        it("should wrap the same transaction as unsignedMultisigTransaction", () => {
+            const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, segwitInputs(MULTISIG_ADDRESS_TYPES.P2WSH), testTxs[1].outputs);
+            expect(psbt.data.globalMap.unsignedTx.toBuffer().toString('hex')).toBe(getUnsigned(1).toHex());
+        });
+    });
+
+    describe("Test unsignedMultisigPSBT with extended public keys", () => {
+        const extendedPublicKeys = [
+            { xfp: "f57ec65d", xpub: bip32TestKeys[0].xpub, bip32Path: "m/45'/0'/4'" },
+            { xfp: "0b287197", xpub: bip32TestKeys[1].xpub, bip32Path: "m/45'/0'/0'" },
+        ];
+        const multisig = generateMultisigFromPublicKeys(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2,
+            bip32TestKeys[0].main[0].pub, bip32TestKeys[1].main[0].pub);
+        const inputs = [{ txid: testTxs[1].inputs[0].txid, index: 0, amountSats: BigNumber(112233), multisig, bip32Path: "0/0" }];
+        const outputs = [
+            { address: "3QjbZNYzqhfAzE5vxF9jUU9DGGrHkGEchy", amountSats: BigNumber(100000) },
+            { address: multisig.address, amountSats: BigNumber(10000), multisig, bip32Path: "0/0" },
+        ];
+
+        it("should include global xpub records", () => {
+            const psbt = bitcoin.Psbt.fromBase64(unsignedMultisigPSBT(NETWORKS.MAINNET, inputs, outputs, extendedPublicKeys).toBase64());
+            const globalXpub = psbt.data.globalMap.globalXpub.map((record) => ({
+                xpub: bs58check.encode(record.extendedPubkey),
+                xfp: record.masterFingerprint.toString('hex'),
+                bip32Path: record.path,
+            }));
+            // serialized in key order
+            expect(globalXpub).toEqual([extendedPublicKeys[1], extendedPublicKeys[0]]);
+        });
+
+        it("should include BIP32 derivations for inputs and change outputs", () => {
+            const psbt = bitcoin.Psbt.fromBase64(unsignedMultisigPSBT(NETWORKS.MAINNET, inputs, outputs, extendedPublicKeys).toBase64());
+            const expected = [
+                { masterFingerprint: "f57ec65d", pubkey: bip32TestKeys[0].main[0].pub, path: "m/45'/0'/4'/0/0" },
+                { masterFingerprint: "0b287197", pubkey: bip32TestKeys[1].main[0].pub, path: "m/45'/0'/0'/0/0" },
+            ];
+            [psbt.data.inputs[0], psbt.data.outputs[1]].forEach((inputOrOutput) => {
+                expect(inputOrOutput.bip32Derivation.map((derivation) => ({
+                    masterFingerprint: derivation.masterFingerprint.toString('hex'),
+                    pubkey: derivation.pubkey.toString('hex'),
+                    path: derivation.path,
+                }))).toEqual(expected);
+            });
+            expect(psbt.data.outputs[1].witnessScript.toString('hex')).toBe(multisig.redeem.output.toString('hex'));
+            expect(psbt.data.outputs[0]).toEqual({});
+        });
+
+        it("should accept full BIP32 paths", () => {
+            const sameRootKeys = extendedPublicKeys.map((extendedPublicKey) => ({...extendedPublicKey, bip32Path: "m/48'/0'/0'/2'"}));
+            const psbt = unsignedMultisigPSBT(NETWORKS.MAINNET, [{...inputs[0], bip32Path: "m/48'/0'/0'/2'/0/0"}], outputs, sameRootKeys);
+            expect(psbt.data.inputs[0].bip32Derivation.map((derivation) => derivation.path)).toEqual(["m/48'/0'/0'/2'/0/0", "m/48'/0'/0'/2'/0/0"]);
+        });
+
+        it("should reject full BIP32 paths not derived from an extended public key", () => {
+            expect(() => unsignedMultisigPSBT(NETWORKS.MAINNET, [{...inputs[0], bip32Path: "m/48'/0'/0'/2'/0/0"}], outputs, extendedPublicKeys)).toThrow(/is not derived from/);
+        });
+
+        it("should reject BIP32 paths which do not derive the multisig public keys", () => {
+            expect(() => unsignedMultisigPSBT(NETWORKS.MAINNET, [{...inputs[0], bip32Path: "0/1"}], outputs, extendedPublicKeys)).toThrow(/is not in the multisig/);
+        });
+    });
+
+    describe("Test unsignedMultisigPSBT with key origins", () => {
+        const keys = [
+            { publicKey: bip32TestKeys[0].main[0].pub, xfp: "f57ec65d", bip32Path: "m/45'/0'/4'/0/0" },
+            { publicKey: bip32TestKeys[1].main[0].pub, xfp: "0b287197", bip32Path: "m/45'/0'/0'/0/0" },
+        ];
+        const multisig = generateMultisigFromKeyOrigins(NETWORKS.MAINNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...keys);
+        const inputs = [{ txid: testTxs[1].inputs[0].txid, index: 0, amountSats: BigNumber(112233), multisig }];
+        const outputs = [
+            { address: "3QjbZNYzqhfAzE5vxF9jUU9DGGrHkGEchy", amountSats: BigNumber(100000) },
+            { address: multisig.address, amountSats: BigNumber(10000), multisig },
+        ];
+
+        it("should include BIP32 derivations from the key origins of inputs and change outputs", () => {
+            const psbt = bitcoin.Psbt.fromBase64(unsignedMultisigPSBT(NETWORKS.MAINNET, inputs, outputs).toBase64());
+            [psbt.data.inputs[0], psbt.data.outputs[1]].forEach((inputOrOutput) => {
+                expect(inputOrOutput.bip32Derivation.map((derivation) => ({
+                    publicKey: derivation.pubkey.toString('hex'),
+                    xfp: derivation.masterFingerprint.toString('hex'),
+                    bip32Path: derivation.path,
+                }))).toEqual(keys);
+            });
+            expect(psbt.data.globalMap.globalXpub).toBeUndefined();
+        });
+    });
+
+    describe("Test parseMultisigPSBT", () => {
+        it("should properly parse a P2SH PSBT", () => {
+            const {inputs, outputs, signatures} = parseMultisigPSBT(psbts.p2sh, NETWORKS.TESTNET);
+            const expected = p2shInputs()[0];
+            expect(inputs.length).toBe(1);
+            expect(inputs[0].txid).toBe(expected.txid);
+            expect(inputs[0].index).toBe(0);
+            expect(inputs[0].amountSats.isEqualTo(expected.amountSats)).toBe(true);
+            expect(inputs[0].amount).toBe("0.01");
+            expect(inputs[0].transactionHex).toBe(p2shFundingTransaction);
+            expect(multisigAddressType(inputs[0].multisig)).toBe(MULTISIG_ADDRESS_TYPES.P2SH);
+            expect(multisigAddress(inputs[0].multisig)).toBe(multisigAddress(expected.multisig));
+            expect(outputs.length).toBe(1);
+            expect(outputs[0].address).toBe(p2shOutputs[0].address);
+            expect(outputs[0].amountSats.isEqualTo(p2shOutputs[0].amountSats)).toBe(true);
+            expect(signatures).toEqual([{}]);
+        });
+
+        it("should properly parse P2SH-P2WSH and P2WSH PSBTs", () => {
+            [
+                [psbts.p2shP2wsh, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH],
+                [psbts.p2wsh, MULTISIG_ADDRESS_TYPES.P2WSH],
+            ].forEach(([psbt, addressType]) => {
+                const {unsignedTransaction, inputs} = parseMultisigPSBT(psbt, NETWORKS.TESTNET);
+                expect(unsignedTransaction.toHex()).toBe(getUnsigned(1).toHex());
+                expect(inputs[0].txid).toBe(testTxs[1].inputs[0].txid);
+                expect(inputs[0].amountSats.toNumber()).toBe(112233);
+                expect(inputs[0].transactionHex).toBeUndefined();
+                expect(multisigAddressType(inputs[0].multisig)).toBe(addressType);
+            });
+        });
+
+        it("should parse hex encoded PSBTs", () => {
+            const hex = Buffer.from(psbts.p2wsh, 'base64').toString('hex');
+            const {inputs} = parseMultisigPSBT(hex, NETWORKS.TESTNET);
+            expect(multisigAddressType(inputs[0].multisig)).toBe(MULTISIG_ADDRESS_TYPES.P2WSH);
+        });
+
+        it("should return partial signatures keyed by public key", () => {
+            const psbt = bitcoin.Psbt.fromBase64(psbts.p2wsh);
+            psbt.updateInput(0, {partialSig: [
+                {pubkey: Buffer.from(p2wshpub1, 'hex'), signature: Buffer.from(`${p2wshsig1}01`, 'hex')},
+                {pubkey: Buffer.from(p2wshpub2, 'hex'), signature: Buffer.from(`${p2wshsig2}01`, 'hex')},
+            ]});
+            const {unsignedTransaction, inputs, signatures} = parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET);
+            expect(signatures).toEqual([{
+                [p2wshpub1]: `${p2wshsig1}01`,
+                [p2wshpub2]: `${p2wshsig2}01`,
+            }]);
+            expect(signedMultisigTransaction(unsignedTransaction, inputs, signatures).toHex()).toBe(p2wshsigned);
+        });
+
+        it("should reject inputs whose scripts do not match the output they spend", () => {
+            const multisig = generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, redeemscripts[0]);
+            const psbt = new bitcoin.Psbt({network: bitcoin.networks.testnet});
+            psbt.addInput({
+                hash: testTxs[1].inputs[0].txid,
+                index: 0,
+                witnessUtxo: {script: multisig.output, value: 112233},
+                witnessScript: Buffer.from(p2wshredeem, 'hex'),
+            });
+            expect(() => parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET)).toThrow(/do not match/);
+        });
+
+        it("should reject inputs whose non-witness UTXO does not match their txid", () => {
+            const psbt = new bitcoin.Psbt({network: bitcoin.networks.testnet});
+            psbt.addInput({
+                hash: testTxs[1].inputs[0].txid,
+                index: 0,
+                redeemScript: Buffer.from(redeemMulti, 'hex'),
+            });
+            // bitcoinjs-lib checks this itself so bypass it
+            psbt.data.updateInput(0, {nonWitnessUtxo: Buffer.from(p2shFundingTransaction, 'hex')});
+            expect(() => parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET)).toThrow(/does not match its txid/);
+        });
+
+        it("should reject inputs without multisig scripts", () => {
+            const psbt = new bitcoin.Psbt({network: bitcoin.networks.testnet});
+            psbt.addInput({hash: testTxs[1].inputs[0].txid, index: 0});
+            expect(() => parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET)).toThrow(/no redeem or witness script/);
+        });
+    });
+
+    describe("Test combineMultisigPSBTs", () => {
+        it("should merge partial signatures from several PSBTs", () => {
+            const psbt = combineMultisigPSBTs([
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1]]),
+                p2wshPSBTWithSignatures([[p2wshpub2, p2wshsig2]]),
+            ], NETWORKS.TESTNET);
+            const {signatures} = parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET);
+            expect(signatures).toEqual([{
+                [p2wshpub1]: `${p2wshsig1}01`,
+                [p2wshpub2]: `${p2wshsig2}01`,
+            }]);
+        });
+
+        it("should allow the same signature in several PSBTs", () => {
+            const psbt = combineMultisigPSBTs([
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1]]),
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1], [p2wshpub2, p2wshsig2]]),
+            ], NETWORKS.TESTNET);
+            expect(Object.keys(parseMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET).signatures[0]).length).toBe(2);
+        });
+
+        it("should require at least one PSBT", () => {
+            expect(() => combineMultisigPSBTs([], NETWORKS.TESTNET)).toThrow("At least one PSBT is required.");
+        });
+
+        it("should reject PSBTs for different transactions", () => {
+            expect(() => combineMultisigPSBTs([psbts.p2sh, psbts.p2wsh], NETWORKS.TESTNET)).toThrow(/not for the same unsigned transaction/);
+        });
+
+        it("should reject conflicting signatures", () => {
+            expect(() => combineMultisigPSBTs([
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1]]),
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig2]]),
+            ], NETWORKS.TESTNET)).toThrow("PSBTs have conflicting partialSig data for input 0.");
+        });
+
+        it("should reject conflicting input data", () => {
+            const psbt = bitcoin.Psbt.fromBase64(psbts.p2wsh);
+            psbt.data.inputs[0].witnessUtxo.value = 112234;
+            expect(() => combineMultisigPSBTs([psbts.p2wsh, psbt.toBase64()], NETWORKS.TESTNET)).toThrow("PSBTs have conflicting witnessUtxo data for input 0.");
+        });
+    });
+
+    describe("Test finalizeMultisigPSBT", () => {
+        it("should properly extract the signed transaction for P2WSH", () => {
+            const psbt = combineMultisigPSBTs([
+                p2wshPSBTWithSignatures([[p2wshpub2, p2wshsig2]]),
+                p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1]]),
+            ], NETWORKS.TESTNET);
+            expect(finalizeMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET).toHex()).toBe(p2wshsigned);
+        });
+
+        it("should properly extract the signed transaction for P2SH", () => {
+            const transaction = finalizeMultisigPSBT(signingKeysPSBT(MULTISIG_ADDRESS_TYPES.P2SH), NETWORKS.TESTNET);
+            expect(transaction.toHex()).toBe(signingKeysSignedTransactions.P2SH);
+            expect(transaction.hasWitnesses()).toBe(false);
+        });
+
+        it("should properly extract the signed transaction for P2SH-P2WSH", () => {
+            const transaction = finalizeMultisigPSBT(signingKeysPSBT(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH), NETWORKS.TESTNET);
+            expect(transaction.toHex()).toBe(signingKeysSignedTransactions["P2SH-P2WSH"]);
+            expect(transaction.ins[0].witness.length).toBe(4);
+        });
+
+        it("should reject PSBTs without enough signatures", () => {
+            expect(() => finalizeMultisigPSBT(p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig1]]), NETWORKS.TESTNET)).toThrow("Input 0 has 1 of 2 required signatures.");
+        });
+
+        it("should reject invalid signatures", () => {
+            const psbt = p2wshPSBTWithSignatures([[p2wshpub1, p2wshsig2], [p2wshpub2, p2wshsig1]]);
+            expect(() => finalizeMultisigPSBT(psbt, NETWORKS.TESTNET)).toThrow(`Input 0 has 0 valid of 2 required signatures, with an invalid signature for public keys ${p2wshpub1}, ${p2wshpub2}.`);
+        });
+
+        it("should skip invalid signatures when enough valid signatures remain", () => {
+            const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, 2, ...signingKeys.map((key) => key.pub));
+            const inputs = [{ txid: testTxs[1].inputs[0].txid, index: 0, amountSats: BigNumber(112233), multisig }];
+            const psbt = unsignedMultisigPSBT(NETWORKS.TESTNET, inputs, testTxs[1].outputs);
+            signingKeys.forEach((key) => psbt.signInput(0, bitcoin.ECPair.fromWIF(key.wif, bitcoin.networks.testnet)));
+            const [partialSig1, partialSig2, partialSig3] = signingKeys.map((key) => (
+                psbt.data.inputs[0].partialSig.find((partialSig) => partialSig.pubkey.toString('hex') === key.pub)
+            ));
+            const validSignatures = [partialSig2, partialSig3].map((partialSig) => partialSig.signature.toString('hex'));
+            partialSig1.signature = partialSig2.signature;
+            const transaction = finalizeMultisigPSBT(psbt.toBase64(), NETWORKS.TESTNET);
+            expect(transaction.ins[0].witness.slice(1, 3).map((item) => item.toString('hex'))).toEqual(validSignatures);
+        });
+    });
+});
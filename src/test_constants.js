@@ -234,6 +234,7 @@ export const badHardened = ["m/45'/0", "m/45/0'"]
 
 export const mainnetAddresses = ["3LRW7jeCvQCRdPF8S3yUCfRAx4eqXFmdcr", "1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH", "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4", "bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7k7grplx"]
 export const testnetAddresses = ["mrCDrCybB6J1vRfbwM5hemdJz73FwDBC8r", "2NByiBUaEXrhmqAsg7BbLpcQSAQs1EDwt5w", "tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7"]
+export const regtestAddresses = ["mrCDrCybB6J1vRfbwM5hemdJz73FwDBC8r", "2NByiBUaEXrhmqAsg7BbLpcQSAQs1EDwt5w", "bcrt1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qzf4jry"]
 
 // merge alley lucky axis penalty manage latin gasp virus captain wheel deal chase fragile chapter boss zero dirt stadium tooth physical valve kid plunge
 // m/45'/0'/0'
@@ -289,3 +290,88 @@ export const opsP2shP2wsh = [
     "OP_HASH160 4549b685445f5c473565ffc274429ee05a01aa40 OP_EQUAL"
 ]
 
+
+// Funds the P2SH multisig built from redeemMulti on testnet
+export const p2shFundingTransaction = "010000000101010101010101010101010101010101010101010101010101010101010101010000000000ffffffff0140420f000000000017a914ab276796e40cc6cfaaf7e218c69bfd815a66f6cb8700000000";
+export const p2shFundingTxid = "8471b355701b9ad369626a85fabcfb3b84fae0f92fd7e0969942c9cc8ea96502";
+
+export const psbts = {
+    p2sh: "cHNidP8BAFMBAAAAAQJlqY7MyUKZluDXL/ng+oQ7+7z6hWpiadOaG3BVs3GEAAAAAAD/////ATAbDwAAAAAAF6kUjIw5ROeMjP85n83zeeWqLgDiLsWHAAAAAAABAFMBAAAAAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAAAAAAD/////AUBCDwAAAAAAF6kUqydnluQMxs+q9+IYxpv9gVpm9suHAAAAAAEEaVIhA2hPZ4fWHMavXqZgEp+X4xLODlJ2q69WnoQvFnxGMBJgIQMMWMwWATx/31EKsraL6Ajg3isl0PNrsXxguv0RuwUtniECDMcVPddihPNfjKqGp9HK4iixDxu5Tc28NM5Xmy6gjhBTrgAA",
+    p2shP2wsh: "cHNidP8BAFMBAAAAAWPyFVLSSKbEaeXva38eAidnN6o1IAvHHgeYPQvfVOMZAAAAAAD/////ARS1AQAAAAAAF6kUjIw5ROeMjP85n83zeeWqLgDiLsWHAAAAAAABASBptgEAAAAAABepFMZ8tW4eXt9w5pGJ3Icifr1GbKOhhwEEIgAgASq/kJkgMDPWhJeGnJycHacM08X1RrVPXOyL7M7DbVsBBWlSIQPl8YlR2UG+4RDTrjcIEaK4Qn2QRehQ3ALDOBFcz185LSECoNOCbmxx5dYJzDeH9YHIViqTqWlmhIHUpXmqVmbm4jQhAuEIXj+0rLIQQtq2Ql78hGORQL2rQtmfnlY4Ej35qD+VU64AAA==",
+    p2wsh: "cHNidP8BAFMBAAAAAWPyFVLSSKbEaeXva38eAidnN6o1IAvHHgeYPQvfVOMZAAAAAAD/////ARS1AQAAAAAAF6kUjIw5ROeMjP85n83zeeWqLgDiLsWHAAAAAAABAStptgEAAAAAACIAIAEqv5CZIDAz1oSXhpycnB2nDNPF9Ua1T1zsi+zOw21bAQVpUiED5fGJUdlBvuEQ0643CBGiuEJ9kEXoUNwCwzgRXM9fOS0hAqDTgm5sceXWCcw3h/WByFYqk6lpZoSB1KV5qlZm5uI0IQLhCF4/tKyyEELatkJe/IRjkUC9q0LZn55WOBI9+ag/lVOuAAA=",
+}
+
+// bip32.fromSeed(Buffer.alloc(32, i)) for i = 1, 2, 3 on testnet
+// (rootTprv) and its m/48'/1'/0'/2' (tprv, tpub)
+export const signingKeys = [
+    {
+        xfp: "4ba43603",
+        rootTprv: "tprv8ZgxMBicQKsPdDdJFAqvG3mt4VqsVV125X4vsor5NxK366upt6qvovLQqaCi5SJiCE1aLkt3HtxsnTpzeGu27kPC5RUCr4h3oPBPYnAvhdE",
+        tprv: "tprv8hFctGb1osu2xgPgzZjcWA7mP1YGWJNCqrjPSLttbyUFVhjjP4Q84LDPUHb6iQQHE1tnCKT1bDhnni2m77be58zhqTdcXjj5w3QXMHC1ffo",
+        tpub: "tpubDDwf2gdFxFahr9RUtDQCuZmsx34CfdZ7RALAirwC2FGeLBzW1TDiEpqFeRdxLdZD7rfsbZHYwSaT6CLM3TAcYRw6xfRv4U6KCQt4Zuhvjkz",
+        // m/48'/1'/0'/2'/0/0
+        pub: "02245dd8963d28991e66137afbb42ae75376314c61d278e50e1994d6518ea9e998",
+        wif: "cRnfhHHXztyLrV15QAuQLkwoiCPDchXd4F3LRLUGGzvcCfaA4eDN",
+    },
+    {
+        xfp: "8dfc9b34",
+        rootTprv: "tprv8ZgxMBicQKsPeaoRGF5M6qmoV983EJgiNmLYFCweHQf8eAj88t5H3s6a8T3zuKKKiaAYJxzYqeU7i4BHPH9AtQ9bxeiC1Z8BSuHogZuRMVr",
+        tprv: "tprv8hqggcQFZL9VTHsAmqb6KdY2n1w66nmRRi7si2div2NGBZpn7zAFdXhHHhkpDJf7h9jHng3dSUAgmdKfSE4JZW5sP9APcdiTWfyWSpnkAK6",
+        tpub: "tpubDEXiq2SVhhqALktxfVFgj3C9M3T2G7xL11iezYg2LJAf245YkNyqp2K9TrvHABDCp2232k34UegU4aKEtUZNigit8EEqoLNe2JKMzMiLwYq",
+        pub: "02d5ff1d4aa86563dfcf335214c9ad4b0028e73652dd5bf3e86066f45e8e870cba",
+        wif: "cUJs1DuTP7qNqSKQALKQv6UMWvsyq867nUqPKV4Dp5QWqmWTMYAm",
+    },
+    {
+        xfp: "56c4fac3",
+        rootTprv: "tprv8ZgxMBicQKsPdhfXLRvT66E8VjCtR3yLNQ1Tq82ma5wzxnSJZh2y5JCctHdUV5ajnPNwp5qZ3rQaAR4MjUpcYnWyofH9K9AKdxs18irETXd",
+        tprv: "tprv8hz1cRonbRPyyDiWhcAptWYi9n5Bn5vP8kTWqT6pgzCujBMDYyPWw2hboGXVM4nTZXtdyFpoV3tvv7d3E3hExXBbzmGsEgz4FUdHPxJc2bR",
+        tpub: "tpubDEg3kqr2jo5ergkJbFqRHvCpiob7wR7Hi44J7y987G1JZfbzBND77XKTyPZzGvh3uyDf8kexMJnFD9W8FuraJ4wLMsx6YuZVXRSRRcx6QdD",
+        pub: "0253c16a596be8c9bd7be3abecd7f72d02121e5dbf0096a5a9cd9064267fc6944a",
+        wif: "cVWEUMKEkoCqqumMiuv8bqcE7Kxi1U7DghcLznXDoPfd4v2oThG6",
+    },
+];
+
+// 2-of-3 transactions spending 1000000 Satoshis from each address type
+// of signingKeys' pubs (in outputs of 0101...01:0 transactions) to
+// 2N64Na46fGcbdbSso9aCoyE6Ruc5hvoGagP, signed by the first two keys.
+// Each matches bitcoinjs-lib's own PSBT finalizer.
+export const signingKeysFundingTransactions = {
+    P2SH: "010000000101010101010101010101010101010101010101010101010101010101010101010000000000ffffffff0140420f000000000017a91465f98c214a6dcef958ff0039c32479ec4730aae68700000000",
+    "P2SH-P2WSH": "010000000101010101010101010101010101010101010101010101010101010101010101010000000000ffffffff0140420f000000000017a91446c6110c34251320c1183f80d2c8a507a96c8a498700000000",
+};
+export const signingKeysSignedTransactions = {
+    P2SH: "0100000001ccde35d419cd45a160974cbd7d59fac1ada4bb463f343221eaeae47f6ce9ce2f00000000fdfd0000483045022100a512333ae7d7fb7dffd25188dcb119d7c02892515a803f403156dd5fe768f72a022039df26ee1a45bad59482bbb7b2040d1fde1b0a757dc966e4c83888bf663582e4014730440220076c1fa32c81c30a16670670c9b099e00ed2bdb2fce2682943104907a2297d22022000b95f6659b04d5ac46ed3ac3a732c9466fa5b25cf934a9d0186e8af16a69df1014c69522102245dd8963d28991e66137afbb42ae75376314c61d278e50e1994d6518ea9e9982102d5ff1d4aa86563dfcf335214c9ad4b0028e73652dd5bf3e86066f45e8e870cba210253c16a596be8c9bd7be3abecd7f72d02121e5dbf0096a5a9cd9064267fc6944a53aeffffffff01301b0f000000000017a9148c8c3944e78c8cff399fcdf379e5aa2e00e22ec58700000000",
+    "P2SH-P2WSH": "0100000000010101e5db3bbb178f995880a83f4b4b094fab69a7cf2a46981be1f8bdb4f09e5ee40000000023220020c51d47a3e62150bf5608054b0d4ebaa8c6afbbf54cff80db4dd73701a365af6fffffffff01301b0f000000000017a9148c8c3944e78c8cff399fcdf379e5aa2e00e22ec587040047304402204450c397f7fbeb1d6a9c36723a25c6a5211150337242ba64f2602d86411c571602202882b8d6acdd094527194edc9a54a14f174d7ff78e02b6b5f33badc87f396e5301473044022053ee6d13202f8f667845114503a9353dcebd314bd6ceccfd7e536622ee9c61e40220033c5c25203ed4e83cd524e9df06bd72f094fc2c24059b56ca7922e12cfc7c620169522102245dd8963d28991e66137afbb42ae75376314c61d278e50e1994d6518ea9e9982102d5ff1d4aa86563dfcf335214c9ad4b0028e73652dd5bf3e86066f45e8e870cba210253c16a596be8c9bd7be3abecd7f72d02121e5dbf0096a5a9cd9064267fc6944a53ae00000000",
+};
+
+// https://github.com/bitcoin/bips/blob/master/bip-0380.mediawiki#test-vectors
+// and Bitcoin Core's descriptor_tests.cpp
+export const descriptorChecksums = {
+    valid: [
+        "raw(deadbeef)#89f8spxm",
+        "sh(multi(2,[00000000/111'/222]xprvA1RpRA33e1JQ7ifknakTFpgNXPmW2YvmhqLQYMmrj4xJXXWYpDPS3xz7iAxn8L39njGVyuoseXzU6rcxFLJ8HFsTjSyQbLYnMpCqE2VbFWc,xprv9uPDJpEQgRQfDcW7BkF7eTya6RPxXeJCqCJGHuCJ4GiRVLzkTXBAJMu2qaMWPrS7AANYqdq6vcBcBUdJCVVFceUvJFjaPdGZ2y9WACViL4L/0))#ggrsrxfy",
+    ],
+    invalid: [
+        ["raw(deadbeef)", "Descriptor checksum is missing."],
+        ["raw(deadbeef)#", "Descriptor checksum must be 8 characters."],
+        ["raw(deadbeef)#89f8spxmx", "Descriptor checksum must be 8 characters."],
+        ["raw(deadbeef)#89f8spx", "Descriptor checksum must be 8 characters."],
+        ["raw(deedbeef)#89f8spxm", "Descriptor checksum is invalid."],
+        ["raw(deedbeef)##9f8spxm", "Descriptor checksum is invalid."],
+        ["raw(Ü)#00000000", "Descriptor contains invalid characters."],
+        ["sh(multi(2,[00000000/111'/222]xprvA1RpRA33e1JQ7ifknakTFpgNXPmW2YvmhqLQYMmrj4xJXXWYpDPS3xz7iAxn8L39njGVyuoseXzU6rcxFLJ8HFsTjSyQbLYnMpCqE2VbFWc,xprv9uPDJpEQgRQfDcW7BkF7eTya6RPxXeJCqCJGHuCJ4GiRVLzkTXBAJMu2qaMWPrS7AANYqdq6vcBcBUdJCVVFceUvJFjaPdGZ2y9WACViL4L/0))#ggssrxfy", "Descriptor checksum is invalid."],
+    ],
+};
+
+// signingKeys' tpubs with the SLIP-132 Vpub (P2WSH) and Upub
+// (P2SH-P2WSH) testnet version bytes.
+export const signingKeysVpubs = [
+    "Vpub5kob2MCBWa6fJL1mhyJr7YbJzmhv1MkeMaM6inMpJ6bQ6tGFCKRmwNi5AgbUNkX2k8yLMcagNERokcENWReJD1EGzrQAcXG6xjSEcciNwEx",
+    "Vpub5mPeph1RG2M7nwVFVFAKw21aPn6jbr9rwRjazU6ec9VQnkMHwFBuWaBxz7soCJB2SJKVnoLBuSXpizDGMT34PG24ARD6MPYRncsY35xNDyk",
+    "Vpub5mXykWQxJ7bcJsLbR1k4Vu2FmYEqH9JpeU5E7tZkP7L4LMsjNERAp5CHVeXWK3esYFX7tox5n6dbsZQ9itLFxeEWQ4vM6xjHHjzbUQ7UmBv",
+];
+export const signingKeysUpubs = [
+    "Upub5RyKigXGMtZBT2pescXDuTVopoZU4jm9STpswPTvv6DX3nT1wfGDKK3w9UdtNqs7LVrXc8z7ua5FsKconjEHQmYg8Whk2cSch1NbE6MavRt",
+    "Upub5SZPX2LW7LodweJ8etNhivv5DoxHfEAN2KDND5CmE97XjeY4gb2LtWXpxuvDCPX72fCh3KjdSnBGqhbhdkd3b2LTJ5WfmUiwWtoteZ3aCNU",
+    "Upub5ShiSqk39S48Ta9UaexSHovkba6PLXKKjMZ1LVfs16xBHG4W7aFcC1Y9USZvK8zx8cQK9LMXKSH3zGnb1BvFAQYuXjDvX3uo21vx5mTkHhZ",
+];
@@ -0,0 +1,43 @@
+// Helpers for testing clients against local HTTP stand-ins for block
+// explorers and nodes.
+
+const http = require('http');
+
+// A minimal `fetch` for node's http module.
+export function httpFetch(url, init) {
+    const options = init || {};
+    return new Promise((resolve, reject) => {
+        const request = http.request(url, {method: options.method || "GET", headers: options.headers || {}}, (response) => {
+            let body = "";
+            response.on("data", (chunk) => { body += chunk; });
+            response.on("end", () => resolve({
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                status: response.statusCode,
+                text: () => Promise.resolve(body),
+            }));
+        });
+        request.on("error", reject);
+        request.end(options.body);
+    });
+}
+
+// Start a local server calling `handler(request, body)`, which
+// returns the `[status, body]` of the response.
+export function startStubServer(handler) {
+    const server = http.createServer((request, response) => {
+        let body = "";
+        request.on("data", (chunk) => { body += chunk; });
+        request.on("end", () => {
+            const [status, responseBody] = handler(request, body);
+            response.writeHead(status);
+            response.end(responseBody);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(server));
+    });
+}
+
+export function stubServerURL(server) {
+    return `http://127.0.0.1:${server.address().port}`;
+}
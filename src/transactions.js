@@ -1,10 +1,22 @@
 /** 
- * This module provides validation messages related to transactions.
+ * This module provides validation messages related to transactions and
+ * decoding of raw transactions.
  * @module transactions
  */
 
 import BigNumber from 'bignumber.js';
 import {satoshisToBitcoins, bitcoinsToSatoshis} from "./utils";
+import {networkData} from "./networks";
+import {
+  MULTISIG_ADDRESS_TYPES,
+  generateMultisigFromHex,
+  multisigPublicKeys,
+  multisigRequiredSigners,
+  multisigTotalSigners,
+  signedMultisigTransaction,
+} from "./multisig";
+
+const bitcoin = require('bitcoinjs-lib');
 
 const ZERO = BigNumber(0);
 const MAX_FEE_RATE = new BigNumber(1000);   // 1000 Sats/byte
@@ -103,3 +115,169 @@ export function validateOutputAmountBTC(amountString, inputsTotalSats) {
   return '';
 }
 
+/**
+ * Decode a raw transaction into a human-readable object.
+ *
+ * Inputs spending the P2SH, P2SH-P2WSH, and P2WSH multisig scripts
+ * created by the multisig module are recognized and their `multisig`,
+ * quorum, and signatures are parsed from the scriptSig and witness.
+ * The `scriptType` of other inputs is `null`.
+ * @param {string} transactionHex - hex representation of the raw transaction
+ * @param {module:networks.NETWORKS} network - bitcoin network
+ * @example
+ * const transaction = decodeTransaction("0100000001d73e679f...", NETWORKS.TESTNET);
+ * console.log(transaction.inputs[0].scriptType); // P2SH
+ * console.log(transaction.inputs[0].quorum); // {requiredSigners: 2, totalSigners: 3}
+ * console.log(transaction.outputs[0].amountSats.toString()); // 100000
+ * @returns {Object} the decoded transaction with `txid`, `wtxid`, `version`, `locktime`, `size`, `vsize`, `weight`, `inputs`, and `outputs` properties
+ */
+export function decodeTransaction(transactionHex, network) {
+  const transaction = bitcoin.Transaction.fromHex(transactionHex);
+  return {
+    txid: transaction.getId(),
+    wtxid: Buffer.from(transaction.getHash(true)).reverse().toString('hex'),
+    version: transaction.version,
+    locktime: transaction.locktime,
+    ...transactionSize(transaction),
+    inputs: transaction.ins.map((input) => decodeTransactionInput(input, network)),
+    outputs: transaction.outs.map((output, index) => decodeTransactionOutput(output, index, network)),
+  };
+}
+
+function decodeTransactionInput(input, network) {
+  const decodedInput = {
+    txid: Buffer.from(input.hash).reverse().toString('hex'),
+    index: input.index,
+    sequence: input.sequence,
+    scriptType: null,
+    multisig: null,
+    quorum: null,
+    signatures: [],
+  };
+  const scriptSig = bitcoin.script.decompile(input.script) || [];
+  const witness = input.witness || [];
+  let addressType, redeemScript, signatures;
+  if (witness.length > 0) {
+    redeemScript = witness[witness.length - 1];
+    signatures = witness.slice(1, -1);
+    addressType = (scriptSig.length === 0 ? MULTISIG_ADDRESS_TYPES.P2WSH : MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+  } else if (scriptSig.length > 1 && scriptSig[0] === bitcoin.opcodes.OP_0) {
+    redeemScript = scriptSig[scriptSig.length - 1];
+    signatures = scriptSig.slice(1, -1);
+    addressType = MULTISIG_ADDRESS_TYPES.P2SH;
+  } else {
+    return decodedInput;
+  }
+  if (!Buffer.isBuffer(redeemScript) || !isMultisigScript(redeemScript)) {
+    return decodedInput;
+  }
+  const multisig = generateMultisigFromHex(network, addressType, redeemScript.toString('hex'));
+  if (addressType === MULTISIG_ADDRESS_TYPES.P2SH_P2WSH && !(Buffer.isBuffer(scriptSig[0]) && scriptSig[0].equals(multisig.redeem.output))) {
+    return decodedInput;
+  }
+  decodedInput.scriptType = addressType;
+  decodedInput.multisig = multisig;
+  decodedInput.quorum = {
+    requiredSigners: multisigRequiredSigners(multisig),
+    totalSigners: multisigTotalSigners(multisig),
+  };
+  decodedInput.signatures = signatures.filter((signature) => Buffer.isBuffer(signature) && signature.length > 0)
+                                      .map((signature) => signature.toString('hex'));
+  return decodedInput;
+}
+
+function isMultisigScript(script) {
+  try {
+    bitcoin.payments.p2ms({output: script});
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+const OUTPUT_SCRIPT_TYPES = [
+  ["P2PKH", bitcoin.payments.p2pkh],
+  [MULTISIG_ADDRESS_TYPES.P2SH, bitcoin.payments.p2sh],
+  ["P2WPKH", bitcoin.payments.p2wpkh],
+  [MULTISIG_ADDRESS_TYPES.P2WSH, bitcoin.payments.p2wsh],
+  ["OP_RETURN", bitcoin.payments.embed],
+];
+
+function decodeTransactionOutput(output, index, network) {
+  let address = null;
+  try {
+    address = bitcoin.address.fromOutputScript(output.script, networkData(network));
+  } catch (e) {
+    // no address for this script
+  }
+  return {
+    index,
+    address,
+    scriptType: outputScriptType(output.script),
+    script: output.script.toString('hex'),
+    amountSats: new BigNumber(output.value),
+  };
+}
+
+function outputScriptType(script) {
+  for (let typeIndex = 0; typeIndex < OUTPUT_SCRIPT_TYPES.length; typeIndex++) {
+    const [scriptType, payment] = OUTPUT_SCRIPT_TYPES[typeIndex];
+    try {
+      payment({output: script});
+      return scriptType;
+    } catch (e) {
+      // try the next script type
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the serialized size, virtual size, and weight of a transaction.
+ * @param {Transaction} transaction - a {@link https://github.com/bitcoinjs/bitcoinjs-lib/blob/master/types/transaction.d.ts|Transaction} object
+ * @example
+ * const {size, vsize, weight} = transactionSize(signedTransaction);
+ * console.log(vsize); // 169
+ * @returns {Object} the `size` in bytes, `vsize` in virtual bytes, and `weight` in weight units
+ */
+export function transactionSize(transaction) {
+  return {
+    size: transaction.byteLength(),
+    vsize: transaction.virtualSize(),
+    weight: transaction.weight(),
+  };
+}
+
+// A 71-byte DER signature (33-byte R, 32-byte S) followed by a
+// sighash type byte.  High S signatures are non-standard, so this is
+// the largest signature which will be relayed.
+const MAXIMUM_SIGNATURE = `3045022100${"ff".repeat(32)}02207f${"ff".repeat(31)}01`;
+
+/**
+ * Compute the worst-case size, virtual size, and weight an unsigned
+ * multisig transaction will have once it is fully signed.
+ *
+ * Each input is assumed to be signed by the required number of
+ * signers with the largest standard signature, so the final
+ * transaction will be no larger than the returned values.
+ * @param {Transaction} unsignedTransaction - generated transaction object from call to unsignedMultisigTransaction
+ * @param {UTXO[]} inputs - inputs to the transaction, each with its `multisig`
+ * @example
+ * const unsignedTransaction = unsignedMultisigTransaction(NETWORKS.MAINNET, inputs, outputs);
+ * const {vsize} = maximumMultisigTransactionSize(unsignedTransaction, inputs);
+ * const fee = feeRate.multipliedBy(vsize);
+ * @returns {Object} the maximum `size` in bytes, `vsize` in virtual bytes, and `weight` in weight units
+ */
+export function maximumMultisigTransactionSize(unsignedTransaction, inputs) {
+  if (unsignedTransaction.ins.length !== inputs.length) {
+    throw new Error(`Transaction has ${unsignedTransaction.ins.length} inputs but ${inputs.length} were given.`);
+  }
+  const inputsSignaturesByPublicKey = inputs.map((input) => {
+    const signatures = {};
+    multisigPublicKeys(input.multisig).slice(0, multisigRequiredSigners(input.multisig)).forEach((publicKey) => {
+      signatures[publicKey] = MAXIMUM_SIGNATURE;
+    });
+    return signatures;
+  });
+  return transactionSize(signedMultisigTransaction(unsignedTransaction, inputs, inputsSignaturesByPublicKey));
+}
@@ -1,6 +1,37 @@
-import {validateFeeRate, validateFeeBTC, validateOutputAmountBTC} from './transactions'
+import {
+    validateFeeRate,
+    validateFeeBTC,
+    validateOutputAmountBTC,
+    decodeTransaction,
+    transactionSize,
+    maximumMultisigTransactionSize,
+} from './transactions'
+import {NETWORKS} from './networks';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    generateMultisigFromHex,
+    multisigRedeemScript,
+    multisigWitnessScript,
+    unsignedMultisigTransaction,
+    signMultisigTransaction,
+    signedMultisigTransaction,
+} from './multisig';
+import {
+    unsigned,
+    signed,
+    sig1,
+    redeemMulti,
+    p2wshsigned,
+    p2wshsig1,
+    p2wshsig2,
+    p2wshredeem,
+    signingKeys,
+} from './test_constants';
 import BigNumber from 'bignumber.js';
 
+const bitcoin = require('bitcoinjs-lib');
+
 describe("Test fees and rates", () => {
     describe("Test validateFeeRate", () => {
         it("should properly report the validation of a negative fee rate", () => {
@@ -80,3 +111,167 @@ describe("Test fees and rates", () => {
         });
     });
 });
+
+describe("Test decodeTransaction", () => {
+    it("should decode an unsigned transaction", () => {
+        const transaction = decodeTransaction(unsigned, NETWORKS.TESTNET);
+        expect(transaction.txid).toBe("a23328e27e591a3eda4e25a22a1b26a6895fb31e85b68cc4b89d94e6664f6c48");
+        expect(transaction.wtxid).toBe(transaction.txid);
+        expect(transaction.version).toBe(1);
+        expect(transaction.locktime).toBe(0);
+        expect(transaction.inputs).toEqual([{
+            txid: "916d6c481237dfa78beaf0d931095bf0ce66a9d3d92a8c62a0f187f39f673ed7",
+            index: 1,
+            sequence: 0xffffffff,
+            scriptType: null,
+            multisig: null,
+            quorum: null,
+            signatures: [],
+        }]);
+        expect(transaction.outputs.length).toBe(2);
+        expect(transaction.outputs[0].address).toBe("tb1quzdlt9ytvg8z7rprn08shrtucnnju5zhf7jlsf");
+        expect(transaction.outputs[0].scriptType).toBe("P2WPKH");
+        expect(transaction.outputs[0].amountSats).toEqual(new BigNumber(100000));
+        expect(transaction.outputs[1].index).toBe(1);
+        expect(transaction.outputs[1].amountSats.isEqualTo(999318)).toBe(true);
+    });
+
+    it("should decode a signed P2SH transaction", () => {
+        const transaction = decodeTransaction(signed, NETWORKS.TESTNET);
+        const input = transaction.inputs[0];
+        expect(input.scriptType).toBe(MULTISIG_ADDRESS_TYPES.P2SH);
+        expect(multisigRedeemScript(input.multisig).output.toString('hex')).toBe(redeemMulti);
+        expect(input.quorum).toEqual({requiredSigners: 2, totalSigners: 3});
+        expect(input.signatures).toEqual([`${sig1}01`]);
+        expect(transaction.outputs.map((output) => output.amountSats.toNumber())).toEqual([100000, 999318]);
+        expect(transaction.size).toBe(signed.length / 2);
+        expect(transaction.vsize).toBe(transaction.size);
+        expect(transaction.weight).toBe(transaction.size * 4);
+    });
+
+    it("should decode a signed P2WSH transaction", () => {
+        const transaction = decodeTransaction(p2wshsigned, NETWORKS.TESTNET);
+        const input = transaction.inputs[0];
+        expect(input.scriptType).toBe(MULTISIG_ADDRESS_TYPES.P2WSH);
+        expect(multisigWitnessScript(input.multisig).output.toString('hex')).toBe(p2wshredeem);
+        expect(input.quorum).toEqual({requiredSigners: 2, totalSigners: 3});
+        expect(input.signatures).toEqual([`${p2wshsig1}01`, `${p2wshsig2}01`]);
+        expect(transaction.outputs[0].scriptType).toBe(MULTISIG_ADDRESS_TYPES.P2SH);
+        expect(transaction.outputs[0].address).toBe("2N64Na46fGcbdbSso9aCoyE6Ruc5hvoGagP");
+        expect(transaction.wtxid).not.toBe(transaction.txid);
+        expect(transaction.size).toBe(p2wshsigned.length / 2);
+        expect(transaction.vsize).toBeLessThan(transaction.size);
+        expect(transaction.weight).toBeGreaterThan(transaction.vsize * 3);
+        expect(transaction.weight).toBeLessThanOrEqual(transaction.vsize * 4);
+    });
+
+    it("should decode a signed P2SH-P2WSH transaction", () => {
+        const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, 2, ...signingKeys.map((key) => key.pub));
+        const inputs = [{
+            txid: "916d6c481237dfa78beaf0d931095bf0ce66a9d3d92a8c62a0f187f39f673ed7",
+            index: 0,
+            amountSats: new BigNumber(100000),
+            multisig,
+        }];
+        const outputs = [{address: "tb1quzdlt9ytvg8z7rprn08shrtucnnju5zhf7jlsf", amountSats: new BigNumber(90000)}];
+        const unsignedTransaction = unsignedMultisigTransaction(NETWORKS.TESTNET, inputs, outputs);
+        const [signatures1] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTransaction, inputs, signingKeys[0].wif);
+        const [signatures2] = signMultisigTransaction(NETWORKS.TESTNET, unsignedTransaction, inputs, signingKeys[1].wif);
+        const signedTransaction = signedMultisigTransaction(unsignedTransaction, inputs, [{...signatures1, ...signatures2}]);
+
+        const transaction = decodeTransaction(signedTransaction.toHex(), NETWORKS.TESTNET);
+        const input = transaction.inputs[0];
+        expect(transaction.txid).toBe(signedTransaction.getId());
+        expect(input.scriptType).toBe(MULTISIG_ADDRESS_TYPES.P2SH_P2WSH);
+        expect(input.multisig.address).toBe(multisig.address);
+        expect(input.quorum).toEqual({requiredSigners: 2, totalSigners: 3});
+        expect(input.signatures.sort()).toEqual([signatures1[signingKeys[0].pub], signatures2[signingKeys[1].pub]].sort());
+        expect(transaction.outputs[0].amountSats.toNumber()).toBe(90000);
+    });
+
+    it("should not decode witness inputs with a nonstandard scriptSig", () => {
+        const signedTransaction = bitcoin.Transaction.fromHex(p2wshsigned);
+        signedTransaction.ins[0].script = bitcoin.script.compile([bitcoin.opcodes.OP_1]);
+        const transaction = decodeTransaction(signedTransaction.toHex(), NETWORKS.TESTNET);
+        expect(transaction.inputs[0].scriptType).toBe(null);
+        expect(transaction.inputs[0].multisig).toBe(null);
+    });
+
+    it("should decode outputs without an address", () => {
+        const transaction = decodeTransaction("0100000001d73e679ff387f1a0628c2ad9d3a966cef05b0931d9f0ea8ba7df3712486c6d910100000000ffffffff010000000000000000076a0568656c6c6f00000000", NETWORKS.MAINNET);
+        expect(transaction.inputs[0].scriptType).toBe(null);
+        expect(transaction.outputs[0].scriptType).toBe("OP_RETURN");
+        expect(transaction.outputs[0].address).toBe(null);
+        expect(transaction.outputs[0].script).toBe("6a0568656c6c6f");
+    });
+
+    it("should throw on invalid transaction hex", () => {
+        expect(() => decodeTransaction("deadbeef", NETWORKS.MAINNET)).toThrow();
+    });
+});
+
+describe("Test transaction sizes", () => {
+    function unsignedFrom(signedHex) {
+        const transaction = bitcoin.Transaction.fromHex(signedHex);
+        transaction.ins.forEach((input) => {
+            input.script = Buffer.alloc(0);
+            input.witness = [];
+        });
+        return transaction;
+    }
+
+    describe("Test transactionSize", () => {
+        it("should compute the size of a legacy transaction", () => {
+            const transaction = bitcoin.Transaction.fromHex(signed);
+            expect(transactionSize(transaction)).toEqual({size: 293, vsize: 293, weight: 1172});
+        });
+
+        it("should compute the size of a segwit transaction", () => {
+            const transaction = bitcoin.Transaction.fromHex(p2wshsigned);
+            expect(transactionSize(transaction)).toEqual({size: 337, vsize: 147, weight: 586});
+        });
+    });
+
+    describe("Test maximumMultisigTransactionSize", () => {
+        it("should compute the worst-case size of a P2WSH transaction", () => {
+            const inputs = [{multisig: generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2WSH, p2wshredeem)}];
+            const maximum = maximumMultisigTransactionSize(unsignedFrom(p2wshsigned), inputs);
+            // the two signatures in the signed transaction are each one byte shorter than the maximum
+            expect(maximum).toEqual({size: 339, vsize: 147, weight: 588});
+        });
+
+        it("should compute the worst-case size of a P2SH transaction", () => {
+            const inputs = [{multisig: generateMultisigFromHex(NETWORKS.TESTNET, MULTISIG_ADDRESS_TYPES.P2SH, redeemMulti)}];
+            const maximum = maximumMultisigTransactionSize(unsignedFrom(signed), inputs);
+            expect(maximum.size).toBeGreaterThan(transactionSize(bitcoin.Transaction.fromHex(signed)).size);
+            expect(maximum).toEqual({size: 369, vsize: 369, weight: 1476});
+        });
+
+        it("should never be smaller than a fully signed transaction", () => {
+            [MULTISIG_ADDRESS_TYPES.P2SH, MULTISIG_ADDRESS_TYPES.P2SH_P2WSH, MULTISIG_ADDRESS_TYPES.P2WSH].forEach((addressType) => {
+                const multisig = generateMultisigFromPublicKeys(NETWORKS.TESTNET, addressType, 2, ...signingKeys.map((key) => key.pub));
+                const inputs = [0, 1].map((index) => ({
+                    txid: "916d6c481237dfa78beaf0d931095bf0ce66a9d3d92a8c62a0f187f39f673ed7",
+                    index,
+                    amountSats: new BigNumber(100000),
+                    multisig,
+                }));
+                const outputs = [{address: "tb1quzdlt9ytvg8z7rprn08shrtucnnju5zhf7jlsf", amountSats: new BigNumber(190000)}];
+                const unsignedTransaction = unsignedMultisigTransaction(NETWORKS.TESTNET, inputs, outputs);
+                const signatures1 = signMultisigTransaction(NETWORKS.TESTNET, unsignedTransaction, inputs, signingKeys[0].wif);
+                const signatures2 = signMultisigTransaction(NETWORKS.TESTNET, unsignedTransaction, inputs, signingKeys[2].wif);
+                const signedTransaction = signedMultisigTransaction(unsignedTransaction, inputs, inputs.map((input, i) => ({...signatures1[i], ...signatures2[i]})));
+                const actual = transactionSize(signedTransaction);
+                const maximum = maximumMultisigTransactionSize(unsignedTransaction, inputs);
+                expect(maximum.weight).toBeGreaterThanOrEqual(actual.weight);
+                expect(maximum.vsize).toBeGreaterThanOrEqual(actual.vsize);
+                // low R signatures are at most 2 bytes shorter than the maximum
+                expect(maximum.weight - actual.weight).toBeLessThanOrEqual(2 * 2 * 2 * 4);
+            });
+        });
+
+        it("should throw when the inputs do not match the transaction", () => {
+            expect(() => maximumMultisigTransactionSize(unsignedFrom(signed), [])).toThrow("Transaction has 1 inputs but 0 were given.");
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * This module provides functions for deriving the addresses of a
+ * multisig wallet, given its wallet configuration (the `addressType`,
+ * `network`, `quorum`, and `extendedPublicKeys` of e.g.
+ * `parseCaravanWalletConfig`).
+ * @module wallets
+ */
+
+import {
+  generateMultisigFromPublicKeys,
+  generateSortedMultisigFromPublicKeys,
+  multisigAddress,
+  multisigRedeemScript,
+  multisigWitnessScript,
+} from "./multisig";
+import {networkData} from "./networks";
+import {addMultisigKeyOrigins} from "./origins";
+import {toHexString} from "./utils";
+
+const bip32 = require('bip32');
+
+/**
+ * Chain constant for a wallet's receive addresses (`0/i`).
+ * @type {number}
+ */
+export const RECEIVE_CHAIN = 0;
+
+/**
+ * Chain constant for a wallet's change addresses (`1/i`).
+ * @type {number}
+ */
+export const CHANGE_CHAIN = 1;
+
+/**
+ * Enumeration of the chains of a wallet ([RECEIVE]{@link module:wallets.RECEIVE_CHAIN}|[CHANGE]{@link module:wallets.CHANGE_CHAIN}).
+ * @enum {number}
+ */
+export const WALLET_CHAINS = {
+  RECEIVE: RECEIVE_CHAIN,
+  CHANGE: CHANGE_CHAIN,
+};
+
+/**
+ * Derive a range of a multisig wallet's addresses on its receive or
+ * change chain.
+ *
+ * Each extended public key is decoded and derived to the chain once,
+ * so only one derivation per key is needed for each address, and the
+ * derived public keys are not validated again.  Public keys are sorted
+ * as described in BIP67 (`sortedmulti`) unless the configuration has
+ * `sorted: false` (`multi`), in which case they are used in the order
+ * of its `extendedPublicKeys`.  When every key has an `xfp` and
+ * `bip32Path`, each `multisig` records its key origins (see
+ * `multisigKeyOrigins`).
+ * @param {Object} config - the wallet configuration
+ * @param {boolean} [config.sorted=true] - sort the public keys (sortedmulti) or use them in order (multi)
+ * @param {module:wallets.WALLET_CHAINS} chain - the receive (0) or change (1) chain
+ * @param {number} [startIndex=0] - index of the first address
+ * @param {number} [count=1] - number of addresses to derive
+ * @example
+ * const [address] = deriveMultisigWalletAddresses(config, RECEIVE_CHAIN, 57);
+ * console.log(address.address); // bc1q...
+ * console.log(address.keys[0]); // {xfp: "f57ec65d", bip32Path: "m/48'/0'/0'/2'/0/57", publicKey: "02..."}
+ * @returns {Object[]} each address's `chain`, `index`, `relativePath` (e.g. `0/57`), `address`, `multisig`, hex `redeemScript` and `witnessScript` (or `null`), and the `xfp`, full `bip32Path`, and `publicKey` of each of the wallet's `keys`
+ */
+export function deriveMultisigWalletAddresses(config, chain, startIndex, count) {
+  if (chain !== RECEIVE_CHAIN && chain !== CHANGE_CHAIN) {
+    throw new Error(`Invalid chain: ${chain}.`);
+  }
+  const start = (startIndex === undefined ? 0 : startIndex);
+  const total = (count === undefined ? 1 : count);
+  if (!Number.isInteger(start) || start < 0 || !Number.isInteger(total) || total < 0 || start + total > 0x80000000) {
+    throw new Error("Address indexes must be unhardened.");
+  }
+  const chainNodes = config.extendedPublicKeys.map((key) => bip32.fromBase58(key.xpub, networkData(config.network)).derive(chain));
+  const {network, addressType, quorum} = config;
+  const generateMultisig = (config.sorted === false ? generateMultisigFromPublicKeys : generateSortedMultisigFromPublicKeys);
+  const withKeyOrigins = config.extendedPublicKeys.every((key) => key.xfp && key.bip32Path);
+  const addresses = [];
+  for (let index = start; index < start + total; index++) {
+    const relativePath = `${chain}/${index}`;
+    const keys = config.extendedPublicKeys.map((key, keyIndex) => ({
+      xfp: key.xfp,
+      bip32Path: (key.bip32Path ? `${key.bip32Path}/${relativePath}` : null),
+      publicKey: toHexString(chainNodes[keyIndex].derive(index).publicKey),
+    }));
+    const multisig = generateMultisig(network, addressType, quorum.requiredSigners, ...keys.map((key) => key.publicKey));
+    if (withKeyOrigins) {
+      addMultisigKeyOrigins(multisig, ...keys);
+    }
+    const redeemScript = multisigRedeemScript(multisig);
+    const witnessScript = multisigWitnessScript(multisig);
+    addresses.push({
+      chain,
+      index,
+      relativePath,
+      address: multisigAddress(multisig),
+      multisig,
+      redeemScript: (redeemScript ? toHexString(redeemScript.output) : null),
+      witnessScript: (witnessScript ? toHexString(witnessScript.output) : null),
+      keys,
+    });
+  }
+  return addresses;
+}
+
+/**
+ * Default number of consecutive unused addresses after which address
+ * discovery stops, as in
+ * [BIP44]{@link https://github.com/bitcoin/bips/blob/master/bip-0044.mediawiki#address-gap-limit}.
+ * @type {number}
+ */
+export const DEFAULT_GAP_LIMIT = 20;
+
+/**
+ * Discover a multisig wallet's used addresses and UTXOs, e.g. to
+ * restore it.
+ *
+ * Each chain is scanned from the wallet's `startingAddressIndex`
+ * until `gapLimit` consecutive addresses have no history.  Addresses
+ * are queried in parallel, a gap's worth at a time.  The `provider`
+ * can be backed by any source of address history, such as a block
+ * explorer, a node, or a local mock.
+ * @param {Object} config - the wallet configuration, as for `deriveMultisigWalletAddresses`
+ * @param {Object} provider - the source of address history
+ * @param {Function} provider.hasHistory - `async (address) => boolean`, whether the address has ever received funds
+ * @param {Function} provider.getUtxos - `async (address) => UTXO[]`, the address's unspent outputs
+ * @param {number} [gapLimit=20] - number of consecutive unused addresses ending the scan of a chain
+ * @example
+ * const {usedAddresses, nextReceiveIndex, nextChangeIndex, utxos} = await discoverMultisigWalletAddresses(config, {
+ *   hasHistory: async (address) => (await fetchAddressTransactions(address)).length > 0,
+ *   getUtxos: fetchAddressUTXOs,
+ * });
+ * @returns {Promise<Object>} the `usedAddresses` (as returned by `deriveMultisigWalletAddresses`) of both chains, the `nextReceiveIndex` and `nextChangeIndex` after the last used address of each chain, and the `utxos` of the used addresses, each with its `multisig`
+ */
+export async function discoverMultisigWalletAddresses(config, provider, gapLimit) {
+  if (!provider || typeof provider.hasHistory !== "function" || typeof provider.getUtxos !== "function") {
+    throw new Error("Address discovery provider must implement hasHistory and getUtxos.");
+  }
+  const gap = (gapLimit === undefined ? DEFAULT_GAP_LIMIT : gapLimit);
+  if (!Number.isInteger(gap) || gap < 1) {
+    throw new Error("Gap limit must be a positive integer.");
+  }
+  const startIndex = config.startingAddressIndex || 0;
+  const [receiveAddresses, changeAddresses] = await Promise.all([
+    discoverChainAddresses(config, provider, RECEIVE_CHAIN, startIndex, startIndex - 1, gap),
+    discoverChainAddresses(config, provider, CHANGE_CHAIN, startIndex, startIndex - 1, gap),
+  ]);
+  const usedAddresses = [...receiveAddresses, ...changeAddresses];
+  const addressUtxos = await Promise.all(usedAddresses.map((address) => provider.getUtxos(address.address)));
+  return {
+    usedAddresses,
+    nextReceiveIndex: nextUnusedIndex(receiveAddresses, startIndex),
+    nextChangeIndex: nextUnusedIndex(changeAddresses, startIndex),
+    utxos: addressUtxos.reduce((utxos, utxosForAddress, addressIndex) => utxos.concat(utxosForAddress.map((utxo) => ({
+      ...utxo,
+      multisig: usedAddresses[addressIndex].multisig,
+    }))), []),
+  };
+}
+
+// Scan the addresses from `index` until there are `gapLimit` unused
+// addresses after `lastUsedIndex`, returning the used addresses.
+async function discoverChainAddresses(config, provider, chain, index, lastUsedIndex, gapLimit) {
+  const count = lastUsedIndex + 1 + gapLimit - index;
+  const addresses = deriveMultisigWalletAddresses(config, chain, index, count);
+  const histories = await Promise.all(addresses.map((address) => provider.hasHistory(address.address)));
+  const usedAddresses = addresses.filter((address, addressIndex) => histories[addressIndex]);
+  if (usedAddresses.length === 0) {
+    return [];
+  }
+  const nextLastUsedIndex = usedAddresses[usedAddresses.length - 1].index;
+  const laterUsedAddresses = await discoverChainAddresses(config, provider, chain, index + count, nextLastUsedIndex, gapLimit);
+  return usedAddresses.concat(laterUsedAddresses);
+}
+
+function nextUnusedIndex(usedAddresses, startIndex) {
+  return (usedAddresses.length === 0 ? startIndex : usedAddresses[usedAddresses.length - 1].index + 1);
+}
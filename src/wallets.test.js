@@ -0,0 +1,208 @@
+import {
+    RECEIVE_CHAIN,
+    CHANGE_CHAIN,
+    DEFAULT_GAP_LIMIT,
+    deriveMultisigWalletAddresses,
+    discoverMultisigWalletAddresses,
+} from './wallets';
+import {generateMultisigFromWalletConfig} from './caravan';
+import {
+    MULTISIG_ADDRESS_TYPES,
+    generateMultisigFromPublicKeys,
+    generateSortedMultisigFromPublicKeys,
+    sortPublicKeys,
+    multisigAddress,
+    multisigPublicKeys,
+    multisigRedeemScript,
+    multisigWitnessScript,
+} from './multisig';
+import {multisigKeyOrigins} from './origins';
+import {deriveChildPublicKey} from './bip32';
+import {NETWORKS} from './networks';
+import {signingKeys} from './test_constants';
+
+const walletConfig = {
+    name: "Vault",
+    addressType: MULTISIG_ADDRESS_TYPES.P2WSH,
+    network: NETWORKS.TESTNET,
+    quorum: {requiredSigners: 2, totalSigners: 3},
+    extendedPublicKeys: signingKeys.map((key) => ({xfp: key.xfp, bip32Path: "m/48'/1'/0'/2'", xpub: key.tpub})),
+};
+
+describe("Test wallets", () => {
+    describe("Test deriveMultisigWalletAddresses", () => {
+        it("should derive the same addresses as generateMultisigFromWalletConfig", () => {
+            Object.values(MULTISIG_ADDRESS_TYPES).forEach((addressType) => {
+                const config = {...walletConfig, addressType};
+                [RECEIVE_CHAIN, CHANGE_CHAIN].forEach((chain) => {
+                    const addresses = deriveMultisigWalletAddresses(config, chain, 3, 2);
+                    expect(addresses.map((address) => address.index)).toEqual([3, 4]);
+                    addresses.forEach((address) => {
+                        const multisig = generateMultisigFromWalletConfig(config, `${chain}/${address.index}`);
+                        expect(address.chain).toBe(chain);
+                        expect(address.relativePath).toBe(`${chain}/${address.index}`);
+                        expect(address.address).toBe(multisigAddress(multisig));
+                        expect(multisigAddress(address.multisig)).toBe(multisigAddress(multisig));
+                    });
+                });
+            });
+        });
+
+        it("should include the scripts for each address type", () => {
+            Object.values(MULTISIG_ADDRESS_TYPES).forEach((addressType) => {
+                const [address] = deriveMultisigWalletAddresses({...walletConfig, addressType}, RECEIVE_CHAIN, 0);
+                const redeemScript = multisigRedeemScript(address.multisig);
+                const witnessScript = multisigWitnessScript(address.multisig);
+                expect(address.redeemScript).toBe(redeemScript ? redeemScript.output.toString('hex') : null);
+                expect(address.witnessScript).toBe(witnessScript ? witnessScript.output.toString('hex') : null);
+            });
+            const [p2wshAddress] = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0);
+            expect(p2wshAddress.redeemScript).toBeNull();
+            expect(p2wshAddress.witnessScript).toMatch(/^52.*53ae$/);
+        });
+
+        it("should include the full path of each key in wallet order", () => {
+            const [address] = deriveMultisigWalletAddresses(walletConfig, CHANGE_CHAIN, 57);
+            expect(address.keys).toEqual(signingKeys.map((key) => ({
+                xfp: key.xfp,
+                bip32Path: "m/48'/1'/0'/2'/1/57",
+                publicKey: deriveChildPublicKey(key.tpub, "1/57", NETWORKS.TESTNET),
+            })));
+        });
+
+        it("should record the key origins of each multisig", () => {
+            const [address] = deriveMultisigWalletAddresses(walletConfig, CHANGE_CHAIN, 57);
+            const sortedKeys = address.keys.slice().sort((a, b) => Buffer.compare(Buffer.from(a.publicKey, 'hex'), Buffer.from(b.publicKey, 'hex')));
+            expect(multisigKeyOrigins(address.multisig)).toEqual(sortedKeys);
+            const withoutOrigins = {...walletConfig, extendedPublicKeys: walletConfig.extendedPublicKeys.map(({xpub}) => ({xpub}))};
+            const [addressWithoutOrigins] = deriveMultisigWalletAddresses(withoutOrigins, CHANGE_CHAIN, 57);
+            expect(multisigKeyOrigins(addressWithoutOrigins.multisig)).toBe(null);
+            expect(addressWithoutOrigins.address).toBe(address.address);
+        });
+
+        it("should keep the wallet's key order for unsorted wallets", () => {
+            const [sortedAddress] = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0);
+            const [unsortedAddress] = deriveMultisigWalletAddresses({...walletConfig, sorted: false}, RECEIVE_CHAIN, 0);
+            const publicKeys = walletConfig.extendedPublicKeys.map((key) => deriveChildPublicKey(key.xpub, "0/0", NETWORKS.TESTNET));
+            expect(multisigPublicKeys(unsortedAddress.multisig)).toEqual(publicKeys);
+            expect(multisigPublicKeys(sortedAddress.multisig)).toEqual(sortPublicKeys(publicKeys));
+            expect(publicKeys).not.toEqual(sortPublicKeys(publicKeys));
+            const unsorted = generateMultisigFromPublicKeys(NETWORKS.TESTNET, walletConfig.addressType, 2, ...publicKeys);
+            const sorted = generateSortedMultisigFromPublicKeys(NETWORKS.TESTNET, walletConfig.addressType, 2, ...publicKeys);
+            expect(unsortedAddress.address).toBe(multisigAddress(unsorted));
+            expect(sortedAddress.address).toBe(multisigAddress(sorted));
+            expect(unsortedAddress.address).not.toBe(sortedAddress.address);
+            expect(multisigKeyOrigins(unsortedAddress.multisig).map((origin) => origin.publicKey)).toEqual(publicKeys);
+        });
+
+        it("should default to the first address", () => {
+            const addresses = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN);
+            expect(addresses.length).toBe(1);
+            expect(addresses[0].relativePath).toBe("0/0");
+            expect(deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0, 0)).toEqual([]);
+        });
+
+        it("should derive consecutive distinct addresses", () => {
+            const addresses = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0, 10);
+            expect(addresses.map((address) => address.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(new Set(addresses.map((address) => address.address)).size).toBe(10);
+            expect(addresses[9].address).toBe(multisigAddress(generateMultisigFromWalletConfig(walletConfig, "0/9")));
+        });
+
+        it("should derive a full batch of addresses quickly", () => {
+            const start = Date.now();
+            const addresses = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0, 500);
+            expect(addresses).toHaveLength(500);
+            expect(addresses[499].address).toBe(multisigAddress(generateMultisigFromWalletConfig(walletConfig, "0/499")));
+            expect(Date.now() - start).toBeLessThan(30000);
+        }, 60000);
+
+        it("should throw on invalid chains and indexes", () => {
+            expect(() => deriveMultisigWalletAddresses(walletConfig, 2, 0)).toThrow("Invalid chain: 2.");
+            expect(() => deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, -1)).toThrow("Address indexes must be unhardened.");
+            expect(() => deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0x7fffffff, 2)).toThrow("Address indexes must be unhardened.");
+        });
+    });
+
+    describe("Test discoverMultisigWalletAddresses", () => {
+        const receiveAddresses = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0, 11);
+        const changeAddresses = deriveMultisigWalletAddresses(walletConfig, CHANGE_CHAIN, 0, 2);
+
+        function mockProvider(usedAddresses) {
+            const queriedAddresses = [];
+            return {
+                queriedAddresses,
+                hasHistory(address) {
+                    queriedAddresses.push(address);
+                    return Promise.resolve(usedAddresses.includes(address));
+                },
+                getUtxos(address) {
+                    return Promise.resolve(address === receiveAddresses[2].address ? [{txid: "ab".repeat(32), index: 1, amountSats: "1000"}] : []);
+                },
+            };
+        }
+
+        it("should find used addresses until the gap limit", async () => {
+            const used = [receiveAddresses[0], receiveAddresses[2], receiveAddresses[5], receiveAddresses[10], changeAddresses[1]];
+            const provider = mockProvider(used.map((address) => address.address));
+            const result = await discoverMultisigWalletAddresses(walletConfig, provider, 3);
+            expect(result.usedAddresses.map((address) => address.relativePath)).toEqual(["0/0", "0/2", "0/5", "1/1"]);
+            expect(result.nextReceiveIndex).toBe(6);
+            expect(result.nextChangeIndex).toBe(2);
+            expect(provider.queriedAddresses).not.toContain(receiveAddresses[9].address);
+            expect(provider.queriedAddresses).toContain(receiveAddresses[8].address);
+        });
+
+        it("should scan further batches with the default gap limit", async () => {
+            const addresses = deriveMultisigWalletAddresses(walletConfig, RECEIVE_CHAIN, 0, 60);
+            const used = [addresses[3], addresses[19], addresses[38], addresses[59]];
+            const provider = mockProvider(used.map((address) => address.address));
+            const result = await discoverMultisigWalletAddresses(walletConfig, provider);
+            expect(DEFAULT_GAP_LIMIT).toBe(20);
+            expect(result.usedAddresses.map((address) => address.relativePath)).toEqual(["0/3", "0/19", "0/38"]);
+            expect(result.nextReceiveIndex).toBe(39);
+            expect(result.nextChangeIndex).toBe(0);
+            // Receive addresses 0/0-0/19, 0/20-0/39 and 0/40-0/58, and change addresses 1/0-1/19
+            expect(provider.queriedAddresses.length).toBe(59 + DEFAULT_GAP_LIMIT);
+            expect(provider.queriedAddresses).toContain(addresses[58].address);
+            expect(provider.queriedAddresses).not.toContain(addresses[59].address);
+        }, 30000);
+
+        it("should collect the UTXOs of used addresses with their multisigs", async () => {
+            const provider = mockProvider([receiveAddresses[2].address]);
+            const {utxos} = await discoverMultisigWalletAddresses(walletConfig, provider, 3);
+            expect(utxos.length).toBe(1);
+            expect(utxos[0].txid).toBe("ab".repeat(32));
+            expect(multisigAddress(utxos[0].multisig)).toBe(receiveAddresses[2].address);
+        });
+
+        it("should find nothing in an unused wallet", async () => {
+            const provider = mockProvider([]);
+            expect(await discoverMultisigWalletAddresses(walletConfig, provider, 2)).toEqual({
+                usedAddresses: [],
+                nextReceiveIndex: 0,
+                nextChangeIndex: 0,
+                utxos: [],
+            });
+            expect(provider.queriedAddresses.length).toBe(4);
+        });
+
+        it("should start from the wallet's starting address index", async () => {
+            const provider = mockProvider([receiveAddresses[0].address, receiveAddresses[5].address]);
+            const result = await discoverMultisigWalletAddresses({...walletConfig, startingAddressIndex: 4}, provider, 2);
+            expect(result.usedAddresses.map((address) => address.relativePath)).toEqual(["0/5"]);
+            expect(result.nextReceiveIndex).toBe(6);
+            expect(result.nextChangeIndex).toBe(4);
+        });
+
+        it("should reject invalid providers and gap limits", async () => {
+            await expect(discoverMultisigWalletAddresses(walletConfig, {hasHistory: () => Promise.resolve(false)})).rejects.toThrow("Address discovery provider must implement hasHistory and getUtxos.");
+            await expect(discoverMultisigWalletAddresses(walletConfig, mockProvider([]), 0)).rejects.toThrow("Gap limit must be a positive integer.");
+        });
+
+        it("should reject when the provider fails", async () => {
+            const provider = {...mockProvider([]), hasHistory: () => Promise.reject(new Error("Network error"))};
+            await expect(discoverMultisigWalletAddresses(walletConfig, provider, 1)).rejects.toThrow("Network error");
+        });
+    });
+});